@@ -0,0 +1,47 @@
+import path from 'path';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov', '.mkv', '.avi'];
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+/**
+ * Formats a number of bytes for humans, e.g. 41943040 => "40.0 MB"
+ * @param  {number} bytes
+ * @return {string}
+ */
+export function formatFileSize(bytes) {
+  let unit = 0;
+  while (bytes >= 1024 ** (unit + 1) && unit < SIZE_UNITS.length - 1) unit += 1;
+  return `${(bytes / (1024 ** unit)).toFixed(unit ? 1 : 0)} ${SIZE_UNITS[unit]}`;
+}
+
+/**
+ * Tells what kind of file an attachment is, Discord only gives us its name and,
+ * for images and videos, its dimensions
+ * @param  {MessageAttachment} attachment
+ * @return {string} "image", "video" or "file"
+ */
+export function getAttachmentType(attachment) {
+  const extension = path.extname(attachment.filename || '').toLowerCase();
+  if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+  if (IMAGE_EXTENSIONS.includes(extension) || attachment.width) return 'image';
+  return 'file';
+}
+
+/**
+ * Pattern map entries describing an attachment, for the attachment formats
+ * @param  {MessageAttachment} attachment
+ * @return {object}
+ */
+export function getAttachmentPatternMap(attachment) {
+  const hasDimensions = !!(attachment.width && attachment.height);
+  return {
+    attachmentURL: attachment.url,
+    attachmentFilename: attachment.filename || path.basename(attachment.url || ''),
+    attachmentSize: attachment.filesize == null ? '' : formatFileSize(attachment.filesize),
+    attachmentType: getAttachmentType(attachment),
+    attachmentWidth: hasDimensions ? attachment.width : '',
+    attachmentHeight: hasDimensions ? attachment.height : '',
+    attachmentDimensions: hasDimensions ? `${attachment.width}x${attachment.height}` : ''
+  };
+}
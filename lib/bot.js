@@ -1,4 +1,5 @@
 import _ from 'lodash';
+import crypto from 'crypto';
 import irc from 'irc-upd';
 import logger from 'winston';
 import discord from 'discord.js';
@@ -6,21 +7,76 @@ import {
   ConfigurationError
 } from './errors';
 import {
-  validateChannelMapping
+  validateBridgeAdmin,
+  validateChannelMapping,
+  validateIRCColors,
+  validateWebhookMapping
 } from './validators';
 import {
+  codeBlockLines,
+  codeBlockMatch,
   formatFromDiscordToIRC,
-  formatFromIRCToDiscord
+  formatFromIRCToDiscord,
+  splitByBytes,
+  stripIRCFormatting
 } from './formatting';
+import { convertMentions, neutralizeMentions } from './mentions';
+import { matchesAnyHostmask } from './hostmask';
+import { getDiscordChannelKeys, matchDiscordChannels, parseDiscordChannelKey } from './discord-channels';
+import {
+  asciiToUnicodeEmoji,
+  customEmojiToDiscord,
+  emojiToIRC,
+  unicodeEmojiToASCII
+} from './emoji';
+import { renderTemplate, validateTemplate } from './template';
+import { getTransforms, runTransforms } from './transforms';
+import { getAttachmentPatternMap } from './attachments';
+import MessageMap from './message-map';
+import Paste from './paste';
 import Purge from './purge';
 import Watcher from './watcher';
+import BridgeState from './bridge-state';
 
 const REQUIRED_FIELDS = ['server', 'nickname', 'channelMapping', 'discordToken'];
 const NICK_COLORS = ['light_blue', 'dark_blue', 'light_red', 'dark_red', 'light_green',
   'dark_green', 'magenta', 'light_magenta', 'orange', 'yellow', 'cyan', 'light_cyan'
 ];
-const patternMatch = /{\$(.+?)}/g;
+// Discord rejects webhook usernames outside of these bounds
+const USERNAME_MIN_LENGTH = 2;
+const USERNAME_MAX_LENGTH = 32;
+// Discord rejects longer messages
+const DISCORD_MAX_LENGTH = 2000;
+// Inserted into nicks sent to IRC so they don't highlight the IRC users of the same name
+const ZERO_WIDTH_SPACE = '\u200b';
+// Our own safe default before registration, irc-upd only sets maxLineLength once registered
+const DEFAULT_MAX_LINE_LENGTH = 450;
+const DEFAULT_WEBHOOK_AVATAR_URL = 'https://www.gravatar.com/avatar/{$nicknameHash}?d=identicon';
 const nickMessageRegEx = /(^\w+) (.*$)/g;
+// Format option => the bot property holding it, for formats mappings can override
+const FORMAT_PROPERTIES = {
+  ircText: 'formatIRCText',
+  urlAttachment: 'formatURLAttachment',
+  inlineAttachment: 'formatInlineAttachment',
+  ircMoreLines: 'formatIRCMoreLines',
+  ircEmbed: 'formatIRCEmbed',
+  ircReaction: 'formatIRCReaction',
+  ircReactionRemove: 'formatIRCReactionRemove',
+  ircPaste: 'formatIRCPaste',
+  ircEdit: 'formatIRCEdit',
+  ircDelete: 'formatIRCDelete',
+  ircDeleteBulk: 'formatIRCDeleteBulk',
+  commandPrelude: 'formatCommandPrelude',
+  discord: 'formatDiscord',
+  webhookAvatarURL: 'formatWebhookAvatarURL',
+  readOnlyNotice: 'formatReadOnlyNotice'
+};
+// Formats that can be turned off with null or false, the others fall back to the bot's
+const OPTIONAL_FORMATS = ['commandPrelude', 'readOnlyNotice'];
+// network/#channel, in bridge commands of multi-network configs
+const networkChannelMatch = /^([^#&/\s]+)\/(.+)$/;
+// Discord turns #channel into <#channelId> in message contents
+const channelMentionMatch = /^<#(\d+)>$/;
 
 /**
  * An IRC bot, works as a middleman for all communication
@@ -35,20 +91,73 @@ class Bot {
     });
 
     validateChannelMapping(options.channelMapping);
+    validateWebhookMapping(options.webhooks);
 
-    this.discord = new discord.Client({
+    // Bots bridging several IRC networks share the Discord client of the first one,
+    // which is the only one to log in
+    this.ownsDiscordClient = !options.discordClient;
+    this.discord = options.discordClient || new discord.Client({
       autoReconnect: true
     });
 
     this.server = options.server;
+    // Name of the IRC network in multi-network configs, available as {$ircNetwork}
+    this.ircNetwork = options.ircNetwork || options.server;
     this.nickname = options.nickname;
     this.ircOptions = options.ircOptions;
     this.discordToken = options.discordToken;
     this.commandCharacters = options.commandCharacters || [];
     this.ircNickColor = options.ircNickColor !== false; // default to true
-    this.channels = _.values(options.channelMapping);
+    // Colors nicks are picked from, minus the excluded ones (e.g. unreadable on a dark theme)
+    const nickColors = validateIRCColors(options.ircNickColors, 'ircNickColors') || NICK_COLORS;
+    this.ircNickColors = _.difference(nickColors,
+      validateIRCColors(options.ircNickColorExclude, 'ircNickColorExclude'));
+    if (this.ircNickColor && !this.ircNickColors.length) {
+      throw new ConfigurationError('No IRC nick colors left to use');
+    }
+    // Breaks up Discord nicks on IRC with a zero-width space, except for the allowlisted ones
+    this.ircAntiHighlight = options.ircAntiHighlight;
+    this.ircAntiHighlightAllowlist = (options.ircAntiHighlightAllowlist || [])
+      .map(nick => nick.toLowerCase());
+    // Discord user ID => fixed nick color
+    this.ircNickColorOverrides = validateIRCColors(options.ircNickColorOverrides,
+      'ircNickColorOverrides') || {};
+    // discordRoles and ircAdmins allowed to link and unlink channels at runtime,
+    // command, and stateFile the changes are kept in
+    this.bridgeAdmin = validateBridgeAdmin(options.bridgeAdmin);
+    this.bridgeCommand = (this.bridgeAdmin && this.bridgeAdmin.command) || '!bridge';
+    this.bridgeState = this.bridgeAdmin &&
+      new BridgeState(this.bridgeAdmin.stateFile, this.ircNetwork);
+    // Channels given to bridge commands from Discord need their network in multi-network configs
+    this.requiresNetwork = !!options.ircNetwork;
+    const channelMapping = this.bridgeState ?
+      this.bridgeState.applyTo(options.channelMapping) : options.channelMapping;
+    this.channels = _.uniq(_.flatMap(_.values(channelMapping), _.castArray)
+      .map(ircChannel => (_.isString(ircChannel) ? ircChannel : ircChannel.channel)));
     this.ircStatusNotices = options.ircStatusNotices;
     this.announceSelfJoin = options.announceSelfJoin;
+    this.ircEdits = options.ircEdits !== false; // default to true
+    // Sends attachments on the same IRC line as the text when they fit
+    this.ircCombineAttachments = options.ircCombineAttachments;
+    this.ircEditDiff = options.ircEditDiff;
+    this.ircEditMaxAge = options.ircEditMaxAge; // in minutes
+    this.ircDeleteNotices = options.ircDeleteNotices;
+    this.ircMaxLines = options.ircMaxLines;
+    // type ("notice", "action" or "message"), delay, removals
+    this.ircReactions = options.ircReactions;
+    // Reactions waiting to be sent, grouped by message, see queueReaction
+    this.pendingReactions = {};
+
+    // window (in milliseconds) during which lines from the same IRC nick are merged into
+    // one Discord message, and channels: { "#irc": { window } } overrides
+    this.discordCoalesce = options.discordCoalesce || {};
+    // Lines waiting to be sent, by Discord channel ID, see coalesceToDiscord
+    this.pendingDiscordMessages = {};
+    // bots, and channels: { "#discord": { ...overrides } }
+    this.ircEmbeds = options.ircEmbeds || {};
+
+    // Discord message ID => lines that were sent to IRC for it
+    this.messageMap = new MessageMap(options.messageMap, options.ircNetwork);
 
     this.goldenGate = options.goldenGate || {};
 
@@ -58,13 +167,52 @@ class Bot {
     // discordChannel: Discord channel (e.g. #general)
     // ircChannel: IRC channel (e.g. #irc)
     // text: the (appropriately formatted) message content
+    // Templates can also use filters ({$text|upper}), defaults ({$text?:none})
+    // and conditional segments ({?$side}shown when side is set{/?}), see lib/template.js
     this.format = options.format || {};
+    _.forOwn(this.format, (template, name) => validateTemplate(template, name));
 
     // "{$keyName}" => "variableValue"
     // displayUsername: nickname with wrapped colors
-    // attachmentURL: the URL of the attachment (only applicable in formatURLAttachment)
+    // attachmentURL: the URL of the attachment (only applicable in the attachment formats)
+    // attachmentFilename, attachmentSize (e.g. "1.5 MB"), attachmentType (image, video or file),
+    // attachmentWidth, attachmentHeight, attachmentDimensions (e.g. "800x600", when known)
     this.formatIRCText = this.format.ircText || '<{$displayUsername}> {$text}';
     this.formatURLAttachment = this.format.urlAttachment || '<{$displayUsername}> {$attachmentURL}';
+    // Formats by attachment type, urlAttachment is used for the ones that aren't set
+    this.formatAttachment = {
+      image: this.format.imageAttachment || this.formatURLAttachment,
+      video: this.format.videoAttachment || this.formatURLAttachment,
+      file: this.format.fileAttachment || this.formatURLAttachment
+    };
+    // Attachments added to the text line with ircCombineAttachments
+    this.formatInlineAttachment = this.format.inlineAttachment || '{$attachmentURL} ({$attachmentSize})';
+    // "{$keyName}" => "variableValue"
+    // count: the number of lines left out because of ircMaxLines
+    this.formatIRCMoreLines = this.format.ircMoreLines || '({$count} more lines)';
+    // "{$keyName}" => "variableValue"
+    // text: the embed rendered as text (author, title, URL, description and fields)
+    // embedTitle, embedDescription, embedURL, embedAuthor, embedFields: its separate parts
+    this.formatIRCEmbed = this.format.ircEmbed || '<{$displayUsername}> {$text}';
+    // "{$keyName}" => "variableValue"
+    // reactor: nickname(s) of the Discord user(s) who reacted
+    // emoji: the emoji(s) they reacted with
+    // nickname: nickname of the author of the message reacted to
+    // excerpt: the first words of that message
+    this.formatIRCReaction = this.format.ircReaction || '* {$reactor} reacted {$emoji} to {$nickname}: "{$excerpt}"';
+    this.formatIRCReactionRemove = this.format.ircReactionRemove || '* {$reactor} removed {$emoji} from {$nickname}: "{$excerpt}"';
+    // "{$keyName}" => "variableValue"
+    // pasteURL: the URL a long code block was pasted to
+    // lineCount: the number of lines in the code block
+    this.formatIRCPaste = this.format.ircPaste || '{$pasteURL} ({$lineCount} lines of code)';
+    // "{$keyName}" => "variableValue"
+    // text: the edited message content (or only the changed part, with ircEditDiff)
+    this.formatIRCEdit = this.format.ircEdit || '<{$displayUsername}> (edit) {$text}';
+    // "{$keyName}" => "variableValue"
+    // text: the lines that were sent to IRC for the deleted message
+    this.formatIRCDelete = this.format.ircDelete || '* message from {$nickname} was removed';
+    // count: the number of removed messages that had been sent to IRC
+    this.formatIRCDeleteBulk = this.format.ircDeleteBulk || '* {$count} messages were removed';
     // "{$keyName}" => "variableValue"
     // side: "Discord" or "IRC"
     if ('commandPrelude' in this.format) {
@@ -76,24 +224,87 @@ class Bot {
     // "{$keyName}" => "variableValue"
     // withMentions: text with appropriate mentions reformatted
     this.formatDiscord = this.format.discord || '**<{$author}>** {$withMentions}';
+    // Webhook messages already show the author as their username, so
+    // leave it out of the body unless a custom format is given
+    this.formatWebhookText = this.format.discord || '{$withMentions}';
+
+    // "{$keyName}" => "variableValue"
+    // nickname: IRC nickname of the user who sent the message
+    // nicknameHash: md5 hex digest of the nickname, for identicon services
+    this.formatWebhookAvatarURL = this.format.webhookAvatarURL || DEFAULT_WEBHOOK_AVATAR_URL;
+
+    // "{$keyName}" => "variableValue"
+    // nickname: the user whose message wasn't relayed because of a read-only mapping
+    if ('readOnlyNotice' in this.format) {
+      this.formatReadOnlyNotice = this.format.readOnlyNotice;
+    } else {
+      this.formatReadOnlyNotice = 'Your message was not relayed: the bridge between {$discordChannel} and {$ircChannel} is read-only';
+    }
+
+    // leadingName, words, ignore, and channels: { "#irc": { ...overrides } }
+    this.mentions = options.mentions || {};
+
+    // toDiscord: { custom, ascii }, toIRC: { ascii }
+    this.emojiOptions = _.merge({
+      toDiscord: { custom: true, ascii: false },
+      toIRC: { ascii: false }
+    }, options.emoji);
+
+    // How IRC colors are shown on Discord: "ansi" for colored code blocks,
+    // or { "red": "**", ... } to wrap each color in markdown. Dropped when unset.
+    this.discordColors = options.discordColors;
+
+    // Hooks rewriting, splitting or dropping messages before they are relayed
+    this.transforms = {
+      toIRC: getTransforms(options.transforms, 'toIRC'),
+      toDiscord: getTransforms(options.transforms, 'toDiscord')
+    };
+    // Direction and channel => the last message going through the hooks,
+    // so messages to a channel are sent in order even when a hook is sometimes slow
+    this.transformQueues = {};
+
+    // IRC channels whose messages are sent with their markdown as is,
+    // everywhere else it is escaped so only IRC formatting codes become markdown
+    this.rawMarkdownChannels = (options.rawMarkdownChannels || [])
+      .map(channel => channel.toLowerCase());
+
+    // Shown around ||spoilers|| on IRC, instead of hiding them as black on black text
+    this.ircFormatOptions = { spoilerMarker: options.ircSpoilerMarker };
+
+    // IRC nicks or hostmasks allowed to use @everyone, @here and raw mentions
+    this.mentionEveryoneAllowlist = options.mentionEveryoneAllowlist || [];
+
+    // Discord channel => webhook URL, for channels using webhook delivery
+    this.webhookOptions = options.webhooks || {};
+    this.webhooks = {};
 
     // Keep track of { channel => [list, of, usernames] } for ircStatusNotices
     this.channelUsers = {};
 
-    this.channelMapping = {};
-
-    // Remove channel passwords from the mapping and lowercase IRC channel names
-    _.forOwn(options.channelMapping, (ircChan, discordChan) => {
-      this.channelMapping[discordChan] = ircChan.split(' ')[0].toLowerCase();
+    // Discord channel => IRC channels, and IRC channel => Discord channels.
+    // A Discord channel can be mapped to a list of IRC channels,
+    // and several Discord channels to the same IRC channel.
+    this.ircChannelsByDiscord = {};
+    this.discordChannelsByIRC = {};
+    // Discord channel => IRC channel => options of the mapping between them, e.g. direction
+    this.mappingOptions = {};
+    _.forOwn(channelMapping, (ircChans, discordChan) => {
+      _.castArray(ircChans).forEach(ircChan => this.addMapping(discordChan, ircChan));
     });
-
-    this.invertedMapping = _.invert(this.channelMapping);
+    this.updateChannelMapping();
     this.autoSendCommands = options.autoSendCommands || [];
 
+    // Bots bridging several IRC networks share the paste server too
+    if (options.sharedPaste || options.paste) {
+      this.paste = options.sharedPaste || new Paste(options.paste);
+    }
+
+    // In multi-network configs, only the first bot purges, in the channels of every network
     if (options.purge) {
       this.purger = new Purge(options.purge);
       this.purger.start();
-      this.watcher = new Watcher(this.purger, this.discord, options.purge, this.channelMapping);
+      this.watcher = new Watcher(this.purger, this.discord, options.purge,
+        options.purgeChannelMapping || this.channelMapping);
     }
 
 
@@ -103,7 +314,15 @@ class Bot {
   connect() {
     // logger.level = 'debug';
     logger.debug('Connecting to IRC and Discord');
-    this.discord.login(this.discordToken);
+    if (this.ownsDiscordClient) this.discord.login(this.discordToken);
+    if (this.paste) this.paste.start();
+
+    // Extract id and token from webhook URLs and connect
+    _.forOwn(this.webhookOptions, (url, channel) => {
+      const [id, token] = url.split('/').slice(-2);
+      const client = new discord.WebhookClient(id, token);
+      this.webhooks[channel] = { id, client };
+    });
 
     const ircOptions = {
       userName: this.nickname,
@@ -122,6 +341,7 @@ class Bot {
   attachListeners() {
     this.discord.on('ready', () => {
       logger.info('<discord> Connected to Discord');
+      this.checkChannelMapping();
       if (this.goldenGate.enabled || false) {
         this.createIrcConnections();
       }
@@ -152,18 +372,39 @@ class Bot {
       this.sendToIRC(message);
     });
 
-    this.ircClient.on('message', this.sendToDiscord.bind(this));
+    this.discord.on('messageUpdate', (oldMessage, newMessage) => {
+      if (!this.ircEdits) return;
+      this.sendEditToIRC(oldMessage, newMessage);
+    });
 
-    this.ircClient.on('notice', (author, to, text) => {
-      this.sendToDiscord(author, to, `*${text}*`);
+    this.discord.on('messageReactionAdd', (reaction, user) => {
+      if (!this.ircReactions) return;
+      this.queueReaction(reaction, user, 'add');
     });
 
-    this.ircClient.on('nick', (oldNick, newNick, channels) => {
-      if (!this.ircStatusNotices) return;
+    this.discord.on('messageReactionRemove', (reaction, user) => {
+      if (!this.ircReactions || !this.ircReactions.removals) return;
+      this.queueReaction(reaction, user, 'remove');
+    });
 
+    this.discord.on('messageDelete', (message) => {
+      this.sendDeleteToIRC([message]);
+    });
 
+    this.discord.on('messageDeleteBulk', (messages) => {
+      this.sendDeleteToIRC(messages.array());
+    });
+
+    this.ircClient.on('message', this.sendToDiscord.bind(this));
+
+    this.ircClient.on('notice', (author, to, text, message) => {
+      this.sendToDiscord(author, to, `*${text}*`, message);
+    });
+
+    this.ircClient.on('nick', (oldNick, newNick, channels) => {
       channels.forEach((channelName) => {
         const channel = channelName.toLowerCase();
+        if (!this.isOnForIRCChannel('ircStatusNotices', channel)) return;
         if (this.channelUsers[channel]) {
           if (this.channelUsers[channel].has(oldNick)) {
             this.channelUsers[channel].delete(oldNick);
@@ -181,9 +422,9 @@ class Bot {
 
     this.ircClient.on('join', (channelName, nick) => {
       logger.debug('<irc> Received join:', channelName, nick);
-      if (!this.ircStatusNotices) return;
-      if (nick === this.ircClient.nick && !this.announceSelfJoin) return;
       const channel = channelName.toLowerCase();
+      if (!this.isOnForIRCChannel('ircStatusNotices', channel)) return;
+      if (nick === this.ircClient.nick && !this.isOnForIRCChannel('announceSelfJoin', channel)) return;
       // self-join is announced before names (which includes own nick)
       // so don't add nick to channelUsers
       if (nick !== this.ircClient.nick) this.channelUsers[channel].add(nick);
@@ -194,8 +435,8 @@ class Bot {
 
     this.ircClient.on('part', (channelName, nick, reason) => {
       logger.debug('<irc> Received part:', channelName, nick, reason);
-      if (!this.ircStatusNotices) return;
       const channel = channelName.toLowerCase();
+      if (!this.isOnForIRCChannel('ircStatusNotices', channel)) return;
       // remove list of users when no longer in channel (as it will become out of date)
       if (nick === this.ircClient.nick) {
         logger.debug('<irc> Deleting channelUsers as bot parted:', channel);
@@ -214,9 +455,10 @@ class Bot {
 
     this.ircClient.on('quit', (nick, reason, channels) => {
       logger.debug('<irc> Received quit:', nick, channels);
-      if (!this.ircStatusNotices || nick === this.ircClient.nick) return;
+      if (nick === this.ircClient.nick) return;
       channels.forEach((channelName) => {
         const channel = channelName.toLowerCase();
+        if (!this.isOnForIRCChannel('ircStatusNotices', channel)) return;
         if (!this.channelUsers[channel]) {
           logger.warn(`<irc> No channelUsers found for ${channel} when ${nick} quit, ignoring.`);
           return;
@@ -231,13 +473,13 @@ class Bot {
 
     this.ircClient.on('names', (channelName, nicks) => {
       logger.debug('<irc> Received names:', channelName, nicks);
-      if (!this.ircStatusNotices) return;
       const channel = channelName.toLowerCase();
+      if (!this.isOnForIRCChannel('ircStatusNotices', channel)) return;
       this.channelUsers[channel] = new Set(Object.keys(nicks));
     });
 
-    this.ircClient.on('action', (author, to, text) => {
-      this.sendToDiscord(author, to, `_${text}_`);
+    this.ircClient.on('action', (author, to, text, message) => {
+      this.sendToDiscord(author, to, `_${text}_`, message);
     });
 
     this.ircClient.on('invite', (channel, from) => {
@@ -291,8 +533,10 @@ class Bot {
         .replace(`<@&${mention.id}>`, `@${displayName}`);
     }, message.content);
 
-    return text
-      .replace(/\n|\r\n|\r/g, ' ')
+    const withEmoji = this.emojiOptions.toIRC.ascii ? unicodeEmojiToASCII(text) : text;
+
+    return withEmoji
+      .replace(/\r\n|\r/g, '\n')
       .replace(/<#(\d+)>/g, (match, channelId) => {
         const channel = this.discord.channels.get(channelId);
         if (channel) return `#${channel.name}`;
@@ -303,162 +547,1037 @@ class Bot {
         if (role) return `@${role.name}`;
         return '@deleted-role';
       })
-      .replace(/<(:\w+:)\d+>/g, (match, emoteName) => emoteName);
+      .replace(/<a?(:\w+:)\d+>/g, (match, emoteName) => emoteName);
   }
 
-  isCommandMessage(message) {
-    return this.commandCharacters.indexOf(message[0]) !== -1;
+  // Mapped channels can have their own command characters
+  isCommandMessage(message, discordChannel, ircChannel) {
+    const commandCharacters = discordChannel ?
+      this.getChannelOption('commandCharacters', discordChannel, ircChannel) : this.commandCharacters;
+    return commandCharacters.indexOf(message[0]) !== -1;
   }
 
   static substitutePattern(message, patternMapping) {
-    return message.replace(patternMatch, (match, varName) => patternMapping[varName] || match);
+    return renderTemplate(message, patternMapping);
   }
 
   sendToIRC(message) {
     const author = message.author;
     // Ignore messages sent by the bot itself:
     if (author.id === this.discord.user.id) return;
+    // Ignore messages sent through our own webhooks:
+    if (this.isOwnWebhook(message.webhookID)) return;
 
+    // Bridge commands work in any channel, mapped or not
+    if (this.isBridgeCommand(message.content) && this.isDiscordBridgeAdmin(message)) {
+      const reply = text => message.channel.send(text).catch((error) => {
+        logger.error('<discord> Could not reply to a bridge command', error);
+      });
+      this.runBridgeCommand(message.content, reply, false, message.guild);
+      return;
+    }
 
     const channelName = `#${message.channel.name}`;
-    const ircChannel = this.channelMapping[message.channel.id] ||
-      this.channelMapping[channelName];
+    const ircChannels = this.getIRCChannels(message.channel);
+
+    // Bots and webhooks can't be sent DMs
+    const readOnlyChannels = author.bot || message.webhookID ? [] :
+      this.getReadOnlyIRCChannels(message.channel);
+    readOnlyChannels.forEach((ircChannel) => {
+      const notice = this.getReadOnlyNotice(author.username, message.channel, ircChannel);
+      if (!notice) return;
+      logger.debug('<discord> Message not relayed to read-only IRC channel', ircChannel);
+      author.send(notice).catch((error) => {
+        logger.error('<discord> Could not tell the author their message was not relayed', error);
+      });
+    });
 
     if (this.ircClients[author.id] != null) {
-      this.sendFromClient(author, ircChannel, message);
+      // Outside of mapped channels, e.g. in DMs to the bot, messages are PMs to IRC nicks
+      if (!this.getMappedIRCChannels(message.channel).length) {
+        this.sendFromClient(author, undefined, message);
+        return;
+      }
+      ircChannels.forEach(ircChannel => this.sendFromClient(author, ircChannel, message));
       return;
     }
 
+    logger.debug('<discord> Channel Mapping', channelName, ircChannels);
+    if (!ircChannels.length) return;
 
-    logger.debug('<discord> Channel Mapping', channelName, this.channelMapping[channelName]);
-    if (ircChannel) {
-      const fromGuild = message.guild;
-      const nickname = Bot.getDiscordNicknameOnServer(author, fromGuild);
-      let text = this.parseText(message);
-      let displayUsername = nickname;
-      if (this.ircNickColor) {
-        const colorIndex = (nickname.charCodeAt(0) + nickname.length) % NICK_COLORS.length;
-        displayUsername = irc.colors.wrap(NICK_COLORS[colorIndex], nickname);
-      }
+    const discordNickname = Bot.getDiscordNicknameOnServer(author, message.guild);
+    const nickname = this.getIRCNickname(discordNickname);
+    const text = this.parseText(message);
 
+    ircChannels.forEach((ircChannel) => {
       const patternMap = {
         author: nickname,
         nickname,
-        displayUsername,
+        displayUsername: this.getDisplayUsername(discordNickname, author.id,
+          message.channel, ircChannel),
         text,
         discordChannel: channelName,
-        ircChannel
+        ircChannel,
+        ircNetwork: this.ircNetwork
       };
 
-      if (this.isCommandMessage(text)) {
-        patternMap.side = 'Discord';
+      this.transform('toIRC', ircChannel, text, { ...patternMap, message },
+        texts => this.relayToIRC(message, patternMap, texts));
+    });
+  }
+
+  /**
+   * Runs the transform hooks of a direction on a message's text, then calls send with
+   * the resulting texts. Without hooks, send is called right away.
+   * The hooks of several messages run side by side, but send is called in the order
+   * the messages came in for each channel.
+   * @param {string} channel - the channel the message is relayed to
+   */
+  transform(direction, channel, text, context, send) {
+    const hooks = this.transforms[direction];
+    if (!hooks.length) {
+      send([text]);
+      return;
+    }
+
+    const key = `${direction}:${channel}`;
+    const transformed = runTransforms(hooks, text, context);
+    const queued = (this.transformQueues[key] || Promise.resolve())
+      .then(() => transformed)
+      .then(send)
+      .catch((error) => {
+        logger.error(`Received error when relaying transformed message (${direction})`, error);
+      })
+      .then(() => {
+        if (this.transformQueues[key] === queued) delete this.transformQueues[key];
+      });
+    this.transformQueues[key] = queued;
+  }
+
+  relayToIRC(message, patternMap, texts) {
+    const { ircChannel } = patternMap;
+    const discordChannel = message.channel;
+    const isCommand = text => this.isCommandMessage(text, discordChannel, ircChannel);
+    const sentLines = [];
+    // Attachments and embeds go along with the text, unless it was dropped entirely
+    const relayExtras = texts.length && !texts.some(isCommand);
+    const attachments = relayExtras && message.attachments ? message.attachments.array() : [];
+    let attachmentsSent = false;
+
+    texts.forEach((text) => {
+      if (isCommand(text)) {
+        const commandPatternMap = { ...patternMap, text, side: 'Discord' };
         logger.debug('<discord> Sending command message to IRC', ircChannel, text);
-        // if (prelude) this.ircClient.say(ircChannel, prelude);
-        if (this.formatCommandPrelude) {
-          const prelude = Bot.substitutePattern(this.formatCommandPrelude, patternMap);
+        const commandPrelude = this.getFormat('commandPrelude', discordChannel, ircChannel);
+        if (commandPrelude) {
+          const prelude = Bot.substitutePattern(commandPrelude, commandPatternMap);
           this.ircClient.say(ircChannel, prelude);
+          sentLines.push(prelude);
         }
         this.ircClient.say(ircChannel, text);
-      } else {
-        if (text !== '') {
-          // Convert formatting
-          text = formatFromDiscordToIRC(text);
-          patternMap.text = text;
-
-          text = Bot.substitutePattern(this.formatIRCText, patternMap);
-          logger.debug('<discord> Sending message to IRC', ircChannel, text);
-          this.ircClient.say(ircChannel, text);
-        }
+        sentLines.push(text);
+      } else if (text !== '') {
+        // Convert formatting
+        const ircText = formatFromDiscordToIRC(
+          this.pasteCodeBlocks(text, discordChannel, ircChannel), this.ircFormatOptions);
+        const textPatternMap = { ...patternMap, text: ircText };
+
+        const combinedText = texts.length === 1 &&
+          this.combineAttachments(ircChannel, textPatternMap, attachments, discordChannel);
+        if (combinedText) attachmentsSent = true;
+
+        const lines = this.sayFormatted(ircChannel,
+          this.getFormat('ircText', discordChannel, ircChannel), textPatternMap,
+          combinedText || ircText, discordChannel);
+        sentLines.push(...lines);
+      }
+    });
 
-        if (message.attachments && message.attachments.size) {
-          message.attachments.forEach((a) => {
-            patternMap.attachmentURL = a.url;
-            const urlMessage = Bot.substitutePattern(this.formatURLAttachment, patternMap);
+    if (relayExtras) {
+      if (!attachmentsSent) {
+        attachments.forEach((a) => {
+          const attachmentPatternMap = getAttachmentPatternMap(a);
+          const urlMessage = Bot.substitutePattern(this.getAttachmentFormat(
+            attachmentPatternMap.attachmentType, discordChannel, ircChannel
+          ), { ...patternMap, ...attachmentPatternMap });
+
+          logger.debug('<discord> Sending attachment URL to IRC', ircChannel, urlMessage);
+          this.ircClient.say(ircChannel, urlMessage);
+          sentLines.push(urlMessage);
+        });
+      }
 
-            logger.debug('<discord> Sending attachment URL to IRC', ircChannel, urlMessage);
-            this.ircClient.say(ircChannel, urlMessage);
+      if (message.embeds && message.embeds.length && this.shouldRelayEmbeds(message)) {
+        message.embeds
+          // Link previews only repeat a URL that was already sent
+          .filter(embed => embed.type === 'rich')
+          .forEach((embed) => {
+            const embedPatternMap = { ...patternMap, ...Bot.getEmbedPatternMap(embed) };
+            const lines = this.sayFormatted(ircChannel,
+              this.getFormat('ircEmbed', discordChannel, ircChannel), embedPatternMap,
+              formatFromDiscordToIRC(Bot.renderEmbed(embed)), discordChannel);
+            sentLines.push(...lines);
           });
-        }
       }
     }
+
+    this.recordSentLines(message, patternMap, sentLines);
+  }
+
+  /**
+   * Appends attachments to a single line of text,
+   * when enabled and the result fits in one IRC message
+   * @return {?string} the text with the attachments, or null
+   */
+  combineAttachments(ircChannel, patternMap, attachments, discordChannel) {
+    if (!this.ircCombineAttachments || !attachments.length || _.includes(patternMap.text, '\n')) {
+      return null;
+    }
+
+    const inlineFormat = this.getFormat('inlineAttachment', discordChannel, ircChannel);
+    const text = [patternMap.text].concat(attachments.map(a => Bot.substitutePattern(
+      inlineFormat, { ...patternMap, ...getAttachmentPatternMap(a) }
+    ))).join(' ');
+    const line = Bot.substitutePattern(this.getFormat('ircText', discordChannel, ircChannel),
+      { ...patternMap, text });
+    return Buffer.byteLength(line, 'utf8') <= this.getMaxLineLength(ircChannel) ? text : null;
+  }
+
+  shouldRelayEmbeds(message) {
+    if (!message.author.bot) return true;
+    const channelOptions = this.ircEmbeds.channels && _.find(
+      getDiscordChannelKeys(message.channel).map(key => this.ircEmbeds.channels[key])
+    );
+    const { bots } = { ..._.omit(this.ircEmbeds, 'channels'), ...channelOptions };
+    return bots !== false; // default to true
+  }
+
+  static getEmbedPatternMap(embed) {
+    return {
+      embedTitle: formatFromDiscordToIRC(embed.title || ''),
+      embedDescription: formatFromDiscordToIRC(embed.description || ''),
+      embedURL: embed.url || '',
+      embedAuthor: (embed.author && embed.author.name) || '',
+      embedFields: (embed.fields || [])
+        .map(field => formatFromDiscordToIRC(`${field.name}: ${field.value}`))
+        .join(' | ')
+    };
+  }
+
+  // Renders an embed as markdown text, one line per part
+  static renderEmbed(embed) {
+    const heading = [
+      embed.author && embed.author.name && `${embed.author.name}:`,
+      embed.title && `**${embed.title}**`,
+      embed.url
+    ].filter(Boolean).join(' ');
+    const fields = (embed.fields || []).map(field => `${field.name}: ${field.value}`);
+    return [heading, embed.description].concat(fields).filter(Boolean).join('\n');
+  }
+
+  // Replaces code blocks too long to send line by line with a link to a paste
+  pasteCodeBlocks(text, discordChannel, ircChannel) {
+    if (!this.paste) return text;
+    return text.replace(codeBlockMatch, (match, lang, code) => {
+      const lines = codeBlockLines(code);
+      if (!this.paste.shouldPaste(lines)) return match;
+      const pasteURL = this.paste.save(lines.join('\n'));
+      // The block is sent line by line when it couldn't be pasted
+      if (!pasteURL) return match;
+      const pasteText = Bot.substitutePattern(this.getFormat('ircPaste', discordChannel, ircChannel), {
+        pasteURL,
+        lineCount: lines.length
+      });
+      // Keep the link on its own line, like the code block would have been
+      return `\n${pasteText}\n`;
+    });
+  }
+
+  getMaxLineLength(ircChannel) {
+    // irc-upd splits lines at the same length, see Client#_speak
+    const messageSplit = (this.ircOptions && this.ircOptions.messageSplit) || 512;
+    if (!this.ircClient.maxLineLength) return Math.min(DEFAULT_MAX_LINE_LENGTH, messageSplit);
+    return Math.min(this.ircClient.maxLineLength - ircChannel.length, messageSplit);
+  }
+
+  /**
+   * Sends text to IRC through a format pattern, one IRC message per line of text.
+   * Lines too long for a single IRC message are split so each part keeps the pattern,
+   * and lines beyond ircMaxLines are replaced by a note.
+   * @return {string[]} the messages that were sent
+   */
+  sayFormatted(ircChannel, format, patternMap, text, discordChannel) {
+    const marker = '\u0000';
+    const overhead = Buffer.byteLength(
+      Bot.substitutePattern(format, { ...patternMap, text: marker }), 'utf8'
+    ) - marker.length;
+    const maxBytes = Math.max(this.getMaxLineLength(ircChannel) - overhead, 1);
+
+    let lines = _.flatMap(text.split('\n').filter(line => line.trim() !== ''),
+      line => splitByBytes(line, maxBytes));
+    if (this.ircMaxLines && lines.length > this.ircMaxLines) {
+      const count = lines.length - this.ircMaxLines;
+      lines = lines.slice(0, this.ircMaxLines)
+        .concat(Bot.substitutePattern(
+          this.getFormat('ircMoreLines', discordChannel, ircChannel), { count }));
+    }
+
+    return lines.map((line) => {
+      const formatted = Bot.substitutePattern(format, { ...patternMap, text: line });
+      logger.debug('<discord> Sending message to IRC', ircChannel, formatted);
+      this.ircClient.say(ircChannel, formatted);
+      return formatted;
+    });
+  }
+
+  // Messages relayed to several IRC channels have an entry for each one
+  static getMessageMapKey(messageId, ircChannel) {
+    return `${messageId}:${ircChannel}`;
+  }
+
+  // Key of a message the bot sent to Discord for an IRC user
+  static getRelayedMessageKey(messageId) {
+    return `${messageId}:relayed`;
+  }
+
+  recordSentLines(message, patternMap, lines) {
+    if (!message.id || !lines.length) return;
+    this.messageMap.add(Bot.getMessageMapKey(message.id, patternMap.ircChannel), {
+      nickname: patternMap.nickname,
+      discordChannel: patternMap.discordChannel,
+      ircChannel: patternMap.ircChannel
+    }, lines);
+  }
+
+  getNickColor(nickname, userId) {
+    if (userId && this.ircNickColorOverrides[userId]) return this.ircNickColorOverrides[userId];
+    // A hash of the whole nick, so similar nicks don't end up with the same color
+    const hash = parseInt(crypto.createHash('md5').update(nickname).digest('hex').slice(0, 8), 16);
+    return this.ircNickColors[hash % this.ircNickColors.length];
+  }
+
+  getIRCNickname(nickname) {
+    // Split on code points, so characters outside the BMP (e.g. emoji) stay whole
+    const [first, ...rest] = Array.from(nickname);
+    if (!this.ircAntiHighlight || !rest.length || _.includes(nickname, ZERO_WIDTH_SPACE) ||
+      this.ircAntiHighlightAllowlist.includes(nickname.toLowerCase())) {
+      return nickname;
+    }
+    return `${first}${ZERO_WIDTH_SPACE}${rest.join('')}`;
   }
 
-  findDiscordChannel(ircChannel) {
-    const discordChannelName = this.invertedMapping[ircChannel.toLowerCase()];
-    if (discordChannelName) {
-      // #channel -> channel before retrieving and select only text channels:
-      const discordChannel = discordChannelName.startsWith('#') ? this.discord.channels
-        .filter(c => c.type === 'text')
-        .find('name', discordChannelName.slice(1)) : this.discord.channels.get(discordChannelName);
+  getDisplayUsername(nickname, userId, discordChannel, ircChannel) {
+    const ircNickname = this.getIRCNickname(nickname);
+    const ircNickColor = discordChannel ?
+      this.getChannelOption('ircNickColor', discordChannel, ircChannel) : this.ircNickColor;
+    if (!ircNickColor) return ircNickname;
+    return irc.colors.wrap(this.getNickColor(nickname, userId), ircNickname);
+  }
+
+  /**
+   * Returns the part of newText that changed compared to oldText,
+   * by stripping the words both have in common at the start and end.
+   */
+  static getEditDiff(oldText, newText) {
+    const oldWords = oldText.split(' ');
+    const newWords = newText.split(' ');
+    let start = 0;
+    while (start < oldWords.length && start < newWords.length &&
+      oldWords[start] === newWords[start]) {
+      start += 1;
+    }
 
-      if (!discordChannel) {
-        logger.info('<irc> Tried to send a message to a channel the bot isn\'t in: ',
-          discordChannelName);
-        return null;
+    let end = 0;
+    while (end < oldWords.length - start && end < newWords.length - start &&
+      oldWords[oldWords.length - 1 - end] === newWords[newWords.length - 1 - end]) {
+      end += 1;
+    }
+
+    const added = newWords.slice(start, newWords.length - end).join(' ');
+    if (added) return added;
+    // Nothing was added, so show what was removed instead
+    const removed = oldWords.slice(start, oldWords.length - end).join(' ');
+    return `-${removed}`;
+  }
+
+  sendEditToIRC(oldMessage, newMessage) {
+    const author = newMessage.author;
+    if (author.id === this.discord.user.id) return;
+    if (this.isOwnWebhook(newMessage.webhookID)) return;
+
+    // messageUpdate is also emitted when embeds are added to a message
+    if (oldMessage.content === newMessage.content) return;
+
+    if (this.ircEditMaxAge &&
+      Date.now() - newMessage.createdTimestamp > this.ircEditMaxAge * 60 * 1000) {
+      logger.debug('<discord> Ignoring edit of old message', newMessage.id);
+      return;
+    }
+
+    const channelName = `#${newMessage.channel.name}`;
+    const text = this.parseText(newMessage);
+    if (text === '') return;
+    // Edited commands are not run again
+    const ircChannels = this.getIRCChannels(newMessage.channel)
+      .filter(ircChannel => !this.isCommandMessage(text, newMessage.channel, ircChannel));
+    if (!ircChannels.length) return;
+
+    const oldText = this.ircEditDiff ? this.parseText(oldMessage) : null;
+    const discordNickname = Bot.getDiscordNicknameOnServer(author, newMessage.guild);
+    const nickname = this.getIRCNickname(discordNickname);
+    ircChannels.forEach((ircChannel) => {
+      const patternMap = {
+        author: nickname,
+        nickname,
+        displayUsername: this.getDisplayUsername(discordNickname, author.id,
+          newMessage.channel, ircChannel),
+        text,
+        discordChannel: channelName,
+        ircChannel,
+        ircNetwork: this.ircNetwork
+      };
+
+      // Edits go through the same hooks as messages, so editing can't get around them
+      this.transform('toIRC', ircChannel, text, { ...patternMap, message: newMessage },
+        texts => this.relayEditToIRC(newMessage, patternMap, texts, oldText));
+    });
+  }
+
+  relayEditToIRC(message, patternMap, texts, oldText) {
+    const { ircChannel } = patternMap;
+    const sentLines = [];
+    texts.forEach((text) => {
+      const editText = oldText === null ? text : Bot.getEditDiff(oldText, text);
+      const ircText = formatFromDiscordToIRC(
+        this.pasteCodeBlocks(editText, message.channel, ircChannel), this.ircFormatOptions);
+      const lines = this.sayFormatted(ircChannel,
+        this.getFormat('ircEdit', message.channel, ircChannel), { ...patternMap, text: ircText },
+        ircText, message.channel);
+      sentLines.push(...lines);
+    });
+    this.recordSentLines(message, patternMap, sentLines);
+  }
+
+  /**
+   * Queues a reaction to be sent to IRC. Reactions to the same message within
+   * ircReactions.delay milliseconds are sent together as a single line.
+   */
+  queueReaction(reaction, user, action) {
+    const message = reaction.message;
+    if (user.id === this.discord.user.id) return;
+
+    this.getIRCChannels(message.channel).forEach((ircChannel) => {
+      const key = `${action}:${message.id}:${ircChannel}`;
+      if (!this.pendingReactions[key]) {
+        this.pendingReactions[key] = { message, ircChannel, action, reactors: [], emojis: [] };
+        const delay = this.ircReactions.delay === undefined ? 2000 : this.ircReactions.delay;
+        setTimeout(() => this.sendReactionToIRC(key), delay);
       }
-      return discordChannel;
+
+      const pending = this.pendingReactions[key];
+      pending.reactors = _.union(pending.reactors,
+        [this.getIRCNickname(Bot.getDiscordNicknameOnServer(user, message.guild))]);
+      pending.emojis = _.union(pending.emojis, [emojiToIRC(reaction.emoji)]);
+    });
+  }
+
+  sendReactionToIRC(key) {
+    const { message, ircChannel, action, reactors, emojis } = this.pendingReactions[key];
+    delete this.pendingReactions[key];
+
+    // Messages relayed from IRC are sent by the bot, they are about the IRC user who wrote them
+    const relayed = this.messageMap.get(Bot.getRelayedMessageKey(message.id));
+    const messageText = relayed ? relayed.text : this.parseText(message);
+    const plainText = stripIRCFormatting(formatFromDiscordToIRC(messageText));
+    const excerpt = _.truncate(plainText.replace(/\s+/g, ' '), {
+      length: 40,
+      separator: ' ',
+      omission: '…'
+    });
+    const nickname = relayed ? relayed.nickname : this.getIRCNickname(
+      Bot.getDiscordNicknameOnServer(message.author, message.guild));
+    const patternMap = {
+      reactor: reactors.join(', '),
+      emoji: emojis.join(' '),
+      author: nickname,
+      nickname,
+      excerpt,
+      discordChannel: `#${message.channel.name}`,
+      ircChannel,
+      ircNetwork: this.ircNetwork
+    };
+
+    const format = this.getFormat(action === 'add' ? 'ircReaction' : 'ircReactionRemove',
+      message.channel, ircChannel);
+    const text = Bot.substitutePattern(format, patternMap);
+    logger.debug('<discord> Sending reaction to IRC', ircChannel, text);
+    if (this.ircReactions.type === 'action') {
+      this.ircClient.action(ircChannel, text);
+    } else if (this.ircReactions.type === 'message') {
+      this.ircClient.say(ircChannel, text);
+    } else {
+      this.ircClient.notice(ircChannel, text);
     }
-    return null;
   }
 
-  sendToDiscord(author, channel, text) {
-    const discordChannel = this.findDiscordChannel(channel);
+  sendDeleteToIRC(messages) {
+    // Only messages that were sent to IRC are announced
+    const deleted = _.flatMap(messages, message => this.getIRCChannels(message.channel)
+      .map(ircChannel => ({
+        discordChannel: message.channel,
+        entry: this.messageMap.delete(Bot.getMessageMapKey(message.id, ircChannel))
+      })))
+      .filter(({ entry }) => entry !== null);
+    if (!this.ircDeleteNotices) return;
+
+    _.forOwn(_.groupBy(deleted, 'entry.ircChannel'), (channelDeleted, ircChannel) => {
+      // Bulk deletions all come from the same Discord channel
+      const { discordChannel } = channelDeleted[0];
+      let notices;
+      if (channelDeleted.length > 1) {
+        const patternMap = {
+          count: channelDeleted.length, ircChannel, ircNetwork: this.ircNetwork
+        };
+        notices = [Bot.substitutePattern(
+          this.getFormat('ircDeleteBulk', discordChannel, ircChannel), patternMap)];
+      } else {
+        const format = this.getFormat('ircDelete', discordChannel, ircChannel);
+        notices = channelDeleted.map(({ entry }) => Bot.substitutePattern(format, {
+          ...entry,
+          author: entry.nickname,
+          text: entry.lines.join(' '),
+          ircNetwork: this.ircNetwork
+        }));
+      }
 
-    if (!discordChannel) return;
+      notices.forEach((notice) => {
+        logger.debug('<discord> Sending message deletion to IRC', ircChannel, notice);
+        this.ircClient.say(ircChannel, notice);
+      });
+    });
+  }
+
+  // Maps a Discord channel to an IRC channel,
+  // given as is or with options: { "channel": "#irc", ... }
+  addMapping(discordChan, ircChan) {
+    const { channel, ...mappingOptions } = _.isString(ircChan) ? { channel: ircChan } : ircChan;
+    // Remove channel passwords from the mapping and lowercase IRC channel names
+    const ircChannel = channel.split(' ')[0].toLowerCase();
+    // Mappings can override format, commandCharacters, ircNickColor,
+    // ircStatusNotices and announceSelfJoin
+    _.forOwn(mappingOptions.format, (template, name) => validateTemplate(template, name));
+    _.set(this.mappingOptions, [discordChan, ircChannel], mappingOptions);
+    this.ircChannelsByDiscord[discordChan] =
+      _.union(this.ircChannelsByDiscord[discordChan], [ircChannel]);
+    this.discordChannelsByIRC[ircChannel] =
+      _.union(this.discordChannelsByIRC[ircChannel], [discordChan]);
+  }
+
+  removeMapping(discordChan, ircChannel) {
+    const ircChannels = _.without(this.ircChannelsByDiscord[discordChan], ircChannel);
+    const discordChannels = _.without(this.discordChannelsByIRC[ircChannel], discordChan);
+    this.ircChannelsByDiscord = _.omitBy({
+      ...this.ircChannelsByDiscord, [discordChan]: ircChannels
+    }, _.isEmpty);
+    this.discordChannelsByIRC = _.omitBy({
+      ...this.discordChannelsByIRC, [ircChannel]: discordChannels
+    }, _.isEmpty);
+    _.unset(this.mappingOptions, [discordChan, ircChannel]);
+  }
+
+  // The first channel each one is mapped to
+  updateChannelMapping() {
+    this.channelMapping = _.mapValues(this.ircChannelsByDiscord, _.head);
+    this.invertedMapping = _.mapValues(this.discordChannelsByIRC, _.head);
+  }
+
+  isBridgeCommand(text) {
+    return !!this.bridgeAdmin && text.trim().split(/\s+/)[0] === this.bridgeCommand;
+  }
+
+  isDiscordBridgeAdmin(message) {
+    const roles = this.bridgeAdmin.discordRoles || [];
+    const member = message.member ||
+      (message.guild && message.guild.members.get(message.author.id));
+    return !!member &&
+      member.roles.some(role => roles.includes(role.name) || roles.includes(role.id));
+  }
+
+  isIRCBridgeAdmin(nick, message = {}) {
+    return matchesAnyHostmask(this.bridgeAdmin.ircAdmins, {
+      nick,
+      user: message.user,
+      host: message.host
+    });
+  }
+
+  /**
+   * Runs a bridge command from an admin: link or unlink a Discord and an IRC channel, or list
+   * the linked channels. Changes are kept in the state file, if there's one.
+   * @param {string} text - e.g. "!bridge link #discord #irc channel-key"
+   * @param {function} reply - sends a reply to the admin
+   * @param {boolean} fromIRC - commands from IRC are about the network they were sent on
+   * @param {Guild} [guild] - commands from Discord are about the server they were sent on
+   */
+  runBridgeCommand(text, reply, fromIRC, guild) {
+    // In multi-network configs, every bot sees the commands from Discord
+    // and only the first one answers those that aren't about its network
+    const answersAll = fromIRC || this.ownsDiscordClient;
+    const [, action, discordArg, ircArg, channelKey] = text.trim().split(/\s+/);
+
+    if (action === 'list') {
+      const prefix = this.requiresNetwork ? `${this.ircNetwork}/` : '';
+      const links = _.flatMap(this.ircChannelsByDiscord, (ircChannels, discordChan) =>
+        ircChannels.map(ircChannel => `${discordChan} <-> ${prefix}${ircChannel}`));
+      if (links.length) {
+        reply(links.join('\n'));
+      } else if (answersAll) {
+        reply('No channels are linked');
+      }
+      return;
+    }
+
+    if (!['link', 'unlink'].includes(action) || !discordArg || !ircArg) {
+      if (answersAll) {
+        reply(`Usage: ${this.bridgeCommand} link <discord-channel> <irc-channel> [key], ${this.bridgeCommand} unlink <discord-channel> <irc-channel> or ${this.bridgeCommand} list`);
+      }
+      return;
+    }
+
+    const [, network, ircChannel] = networkChannelMatch.exec(ircArg) || [null, null, ircArg];
+    if (network ? network !== this.ircNetwork : this.requiresNetwork && !fromIRC) {
+      if (answersAll && !network) {
+        reply(`Give the IRC channel with its network, e.g. network/${ircArg}`);
+      } else if (fromIRC) {
+        reply(`Only channels of ${this.ircNetwork} can be linked from here`);
+      }
+      return;
+    }
+    if (!/^[#&]/.test(ircChannel)) {
+      reply(`Invalid IRC channel ${ircChannel}`);
+      return;
+    }
+
+    const discordChan = discordArg.replace(channelMentionMatch, '$1');
+    // Admin roles on Discord are those of the server the command was sent on,
+    // so only its channels can be linked or unlinked from there
+    const channels = fromIRC ? this.discord.channels :
+      this.discord.channels.filter(channel => channel.guild === guild);
+    const discordChannel = matchDiscordChannels(channels, discordChan)[0];
+    // Mappings of channels that are gone can still be removed from IRC
+    if (!discordChannel && (action === 'link' || !fromIRC)) {
+      reply(`No Discord channel found for ${discordChan}`);
+      return;
+    }
+
+    if (action === 'link') {
+      this.linkChannels(discordChannel, discordChan,
+        channelKey ? `${ircChannel} ${channelKey}` : ircChannel, reply);
+    } else {
+      this.unlinkChannels(discordChannel, discordChan, ircChannel.toLowerCase(), reply);
+    }
+  }
 
-    if (_.values(this.ircClients)
+  linkChannels(discordChannel, discordChan, ircChan, reply) {
+    const ircChannel = ircChan.split(' ')[0].toLowerCase();
+    // The channel can already be linked under another of its keys, e.g. its name
+    if (this.getMappedIRCChannels(discordChannel).includes(ircChannel)) {
+      reply(`${discordChan} is already linked to ${ircChannel}`);
+      return;
+    }
+
+    const isJoined = !!this.discordChannelsByIRC[ircChannel];
+    this.addMapping(discordChan, ircChan);
+    this.updateChannelMapping();
+    if (!isJoined) {
+      this.channels.push(ircChan);
+      this.ircClient.join(ircChan);
+    }
+    this.bridgeState.link(discordChan, ircChan);
+    logger.info('Linked channels', discordChan, ircChannel);
+    reply(`Linked ${discordChan} to ${ircChannel}`);
+  }
+
+  unlinkChannels(discordChannel, discordChan, ircChannel, reply) {
+    // The mapping can use any key of the channel, keys of channels that are gone are used as is
+    const keys = (discordChannel ? getDiscordChannelKeys(discordChannel) : [discordChan])
+      .filter(key => _.includes(this.ircChannelsByDiscord[key], ircChannel));
+    if (!keys.length) {
+      reply(`${discordChan} isn't linked to ${ircChannel}`);
+      return;
+    }
+
+    keys.forEach(key => this.removeMapping(key, ircChannel));
+    this.updateChannelMapping();
+    // Leave the IRC channel once nothing is mapped to it anymore
+    if (!this.discordChannelsByIRC[ircChannel]) {
+      this.channels = this.channels.filter(channel =>
+        channel.split(' ')[0].toLowerCase() !== ircChannel);
+      this.ircClient.part(ircChannel);
+    }
+    keys.forEach(key => this.bridgeState.unlink(key, ircChannel));
+    logger.info('Unlinked channels', discordChan, ircChannel);
+    reply(`Unlinked ${discordChan} from ${ircChannel}`);
+  }
+
+  // Options of the mapping between a Discord and an IRC channel
+  getMappingOptions(discordChannel, ircChannel) {
+    if (!discordChannel) return {};
+    return _.find(getDiscordChannelKeys(discordChannel)
+      .map(key => _.get(this.mappingOptions, [key, ircChannel.toLowerCase()]))) || {};
+  }
+
+  // An option of the bot, or the value given in the mapping between two channels
+  getChannelOption(name, discordChannel, ircChannel) {
+    const value = this.getMappingOptions(discordChannel, ircChannel)[name];
+    return value === undefined ? this[name] : value;
+  }
+
+  // A format of the bot, or the one given in the mapping between two channels
+  getFormat(name, discordChannel, ircChannel) {
+    const { format = {} } = this.getMappingOptions(discordChannel, ircChannel);
+    const isOverridden = OPTIONAL_FORMATS.includes(name) ? name in format : !!format[name];
+    return isOverridden ? format[name] : this[FORMAT_PROPERTIES[name]];
+  }
+
+  getAttachmentFormat(type, discordChannel, ircChannel) {
+    const { format = {} } = this.getMappingOptions(discordChannel, ircChannel);
+    return format[`${type}Attachment`] || format.urlAttachment || this.formatAttachment[type];
+  }
+
+  /**
+   * Whether an option is on for the bot or in any mapping of an IRC channel,
+   * for IRC events handled before knowing which Discord channels they go to
+   */
+  isOnForIRCChannel(name, ircChannel) {
+    const channel = ircChannel.toLowerCase();
+    return !!this[name] || (this.discordChannelsByIRC[channel] || [])
+      .some(key => !!_.get(this.mappingOptions, [key, channel, name]));
+  }
+
+  // Mappings without ircStatusNotices follow the bot, unless it's off
+  // and status notices were only turned on by other mappings of the IRC channel
+  sendsStatusNotices(discordChannel, ircChannel) {
+    const { ircStatusNotices } = this.getMappingOptions(discordChannel, ircChannel);
+    if (ircStatusNotices !== undefined) return !!ircStatusNotices;
+    return !!this.ircStatusNotices || !this.isOnForIRCChannel('ircStatusNotices', ircChannel);
+  }
+
+  // Whether messages are relayed between two mapped channels in a direction, toIRC or toDiscord
+  isRelayed(direction, discordChannel, ircChannel) {
+    const mappingDirection = this.getMappingOptions(discordChannel, ircChannel).direction;
+    return !mappingDirection || mappingDirection === 'both' || mappingDirection === direction;
+  }
+
+  // All the IRC channels a Discord channel is mapped to, whatever the direction
+  getMappedIRCChannels(discordChannel) {
+    // The channel can be mapped by ID, by name, or by name qualified with its guild
+    return _.union(...getDiscordChannelKeys(discordChannel)
+      .map(key => this.ircChannelsByDiscord[key] || []));
+  }
+
+  getIRCChannels(discordChannel) {
+    return this.getMappedIRCChannels(discordChannel)
+      .filter(ircChannel => this.isRelayed('toIRC', discordChannel, ircChannel));
+  }
+
+  // IRC channels that don't take messages from a Discord channel, and say so to their authors
+  getReadOnlyIRCChannels(discordChannel) {
+    return this.getMappedIRCChannels(discordChannel).filter(ircChannel =>
+      !this.isRelayed('toIRC', discordChannel, ircChannel) &&
+      this.getMappingOptions(discordChannel, ircChannel).readOnly);
+  }
+
+  getReadOnlyNotice(nickname, discordChannel, ircChannel) {
+    const format = this.getFormat('readOnlyNotice', discordChannel, ircChannel);
+    if (!format) return null;
+    return Bot.substitutePattern(format, {
+      author: nickname,
+      nickname,
+      discordChannel: `#${discordChannel.name}`,
+      ircChannel,
+      ircNetwork: this.ircNetwork
+    });
+  }
+
+  findDiscordChannels(ircChannel) {
+    return this.findMappedDiscordChannels(ircChannel)
+      .filter(discordChannel => this.isRelayed('toDiscord', discordChannel, ircChannel));
+  }
+
+  // Discord channels that don't take messages from an IRC channel, and say so to their authors
+  findReadOnlyDiscordChannels(ircChannel) {
+    return this.findMappedDiscordChannels(ircChannel).filter(discordChannel =>
+      !this.isRelayed('toDiscord', discordChannel, ircChannel) &&
+      this.getMappingOptions(discordChannel, ircChannel).readOnly);
+  }
+
+  // All the Discord channels an IRC channel is mapped to, whatever the direction.
+  // A channel mapped under several keys (e.g. its ID and its name) is only listed once.
+  findMappedDiscordChannels(ircChannel) {
+    return _.uniqBy((this.discordChannelsByIRC[ircChannel.toLowerCase()] || [])
+      .map((discordChannelName) => {
+        // Unqualified names matching channels in several guilds use the first one,
+        // checkChannelMapping warns about them
+        const discordChannel = matchDiscordChannels(this.discord.channels, discordChannelName)[0];
+
+        if (!discordChannel) {
+          logger.info('<irc> Tried to send a message to a channel the bot isn\'t in: ',
+            discordChannelName);
+          return null;
+        }
+        return discordChannel;
+      })
+      .filter(Boolean), 'id');
+  }
+
+  // Reports the Discord channels of the mapping that can't be found,
+  // and the channel names found in several guilds
+  checkChannelMapping() {
+    _.forOwn(this.ircChannelsByDiscord, (ircChannels, key) => {
+      const discordChannels = matchDiscordChannels(this.discord.channels, key);
+      if (!discordChannels.length) {
+        logger.warn(`<discord> No Discord channel found for ${key}, messages from ${ircChannels.join(', ')} won't be relayed to Discord`);
+      } else if (discordChannels.length > 1) {
+        const { name } = parseDiscordChannelKey(key);
+        const guilds = discordChannels.map(channel => `${channel.guild.name} (${channel.guild.id})`);
+        logger.warn(`<discord> ${key} is ambiguous, it matches channels in ${guilds.join(', ')}. Messages from ${ircChannels.join(', ')} are sent to the one in ${guilds[0]}, while messages from all of them reach IRC, use GuildName/#${name} or guildId/#${name} to choose.`);
+      }
+    });
+  }
+
+  getMentionOptions(ircChannel) {
+    // IRC channel names are case-insensitive
+    const channelOptions = _.find(this.mentions.channels,
+      (value, channel) => channel.toLowerCase() === ircChannel.toLowerCase());
+    return { ..._.omit(this.mentions, 'channels'), ...channelOptions };
+  }
+
+  findWebhook(discordChannel) {
+    return _.find(getDiscordChannelKeys(discordChannel).map(key => this.webhooks[key])) || null;
+  }
+
+  isOwnWebhook(webhookID) {
+    if (!webhookID) return false;
+    return _.some(this.webhooks, webhook => webhook.id === webhookID);
+  }
+
+  getWebhookAvatarURL(nickname, discordChannel, ircChannel) {
+    const patternMap = {
+      nickname,
+      nicknameHash: crypto.createHash('md5').update(nickname).digest('hex')
+    };
+    return Bot.substitutePattern(
+      this.getFormat('webhookAvatarURL', discordChannel, ircChannel), patternMap);
+  }
+
+  static getWebhookUsername(nickname) {
+    return _.padEnd(nickname.substring(0, USERNAME_MAX_LENGTH), USERNAME_MIN_LENGTH, '_');
+  }
+
+  canMentionEveryone(nick, message = {}) {
+    return matchesAnyHostmask(this.mentionEveryoneAllowlist, {
+      nick,
+      user: message.user,
+      host: message.host
+    });
+  }
+
+  sendToDiscord(author, channel, ircText, message) {
+    // Bridge commands work in any channel, and in private messages to the bot
+    if (this.isBridgeCommand(ircText) && this.isIRCBridgeAdmin(author, message)) {
+      this.runBridgeCommand(ircText, reply => this.ircClient.notice(author, reply), true);
+      return;
+    }
+
+    const discordChannels = this.findDiscordChannels(channel);
+    const readOnlyChannels = this.findReadOnlyDiscordChannels(channel);
+
+    if (!discordChannels.length && !readOnlyChannels.length) return;
+
+    // Messages the bridge sent itself (seen again through echo-message or a bouncer)
+    // were relayed already, and must not be sent on to the other mapped channels
+    if (author === this.ircClient.nick || _.values(this.ircClients)
       .some(cli => cli.nick === author)) {
       return;
     }
 
+    // Notices must never be answered automatically
+    if (!message || message.command !== 'NOTICE') {
+      readOnlyChannels.forEach((discordChannel) => {
+        const notice = this.getReadOnlyNotice(author, discordChannel, channel);
+        if (!notice) return;
+        logger.debug('<irc> Message not relayed to read-only Discord channel', discordChannel.name);
+        this.ircClient.notice(author, notice);
+      });
+    }
+
+    discordChannels.forEach((discordChannel) => {
+      const context = {
+        author,
+        nickname: author,
+        discordChannel: `#${discordChannel.name}`,
+        ircChannel: channel,
+        ircNetwork: this.ircNetwork,
+        message
+      };
+      this.transform('toDiscord', discordChannel.id, ircText, context, texts => texts.forEach(transformed =>
+        this.relayToDiscord(author, channel, discordChannel, transformed, message)));
+    });
+  }
+
+  relayToDiscord(author, channel, discordChannel, ircText, message) {
+    const text = this.canMentionEveryone(author, message) ? ircText : neutralizeMentions(ircText);
+
     // Convert text formatting (bold, italics, underscore)
-    const withFormat = formatFromIRCToDiscord(text);
+    const withFormat = formatFromIRCToDiscord(this.emojiOptions.toDiscord.ascii ?
+      asciiToUnicodeEmoji(text) : text, {
+      colors: this.discordColors,
+      escape: !this.rawMarkdownChannels.includes(channel.toLowerCase())
+    });
 
     const patternMap = {
       author,
       nickname: author,
       text: withFormat,
       discordChannel: `#${discordChannel.name}`,
-      ircChannel: channel
+      ircChannel: channel,
+      ircNetwork: this.ircNetwork
     };
 
-    if (this.isCommandMessage(text)) {
+    if (this.isCommandMessage(text, discordChannel, channel)) {
       patternMap.side = 'IRC';
       logger.debug('<irc> Sending command message to Discord', `#${discordChannel.name}`, text);
-      if (this.formatCommandPrelude) {
-        const prelude = Bot.substitutePattern(this.formatCommandPrelude, patternMap);
+      const commandPrelude = this.getFormat('commandPrelude', discordChannel, channel);
+      // Lines held back for coalescing were written first
+      this.flushToDiscord(discordChannel.id);
+      if (commandPrelude) {
+        const prelude = Bot.substitutePattern(commandPrelude, patternMap);
         discordChannel.send(prelude);
       }
       discordChannel.send(text);
       return;
     }
 
-    let newString = withFormat;
+    const mentionsConverted = convertMentions(withFormat, discordChannel.members,
+      discordChannel.guild.roles, this.getMentionOptions(channel));
+    // Emoji come after mentions, so names inside <:name:id> are never mentioned
+    const withMentions = this.emojiOptions.toDiscord.custom ?
+      customEmojiToDiscord(mentionsConverted, discordChannel.guild.emojis) : mentionsConverted;
 
-    discordChannel.members.forEach((member) => {
-      const reg = new RegExp(member.displayName, 'gi');
-      newString = newString.replace(reg, () => `<@!${member.id}>`);
-    });
+    patternMap.withMentions = withMentions;
 
-    const withMentions = newString;
+    const coalesceWindow = this.getCoalesceWindow(channel);
+    if (coalesceWindow) {
+      this.coalesceToDiscord(discordChannel, patternMap, coalesceWindow);
+      return;
+    }
+    this.deliverToDiscord(discordChannel, patternMap);
+  }
 
-    patternMap.withMentions = withMentions;
+  getCoalesceWindow(ircChannel) {
+    // IRC channel names are case-insensitive
+    const channelOptions = _.find(this.discordCoalesce.channels,
+      (value, channel) => channel.toLowerCase() === ircChannel.toLowerCase());
+    return { ..._.omit(this.discordCoalesce, 'channels'), ...channelOptions }.window || 0;
+  }
+
+  // Holds a line back, to send it with the next ones from the same nick
+  coalesceToDiscord(discordChannel, patternMap, window) {
+    const previous = this.pendingDiscordMessages[discordChannel.id];
+    // Lines from the same nick in another IRC channel mapped here are sent apart
+    if (previous && (previous.patternMaps[0].author !== patternMap.author ||
+      previous.patternMaps[0].ircChannel !== patternMap.ircChannel)) {
+      this.flushToDiscord(discordChannel.id);
+    }
+
+    const pending = this.pendingDiscordMessages[discordChannel.id] ||
+      { discordChannel, patternMaps: [] };
+    clearTimeout(pending.timeout);
+    pending.patternMaps.push(patternMap);
+    pending.timeout = setTimeout(() => this.flushToDiscord(discordChannel.id), window);
+    this.pendingDiscordMessages[discordChannel.id] = pending;
+  }
+
+  // Sends the held back lines in as few messages as Discord's length limit allows
+  flushToDiscord(discordChannelId) {
+    const pending = this.pendingDiscordMessages[discordChannelId];
+    if (!pending) return;
+    clearTimeout(pending.timeout);
+    delete this.pendingDiscordMessages[discordChannelId];
+
+    const { discordChannel } = pending;
+    const chunks = pending.patternMaps.reduce((result, patternMap) => {
+      const last = _.last(result);
+      const merged = last && Bot.mergePatternMaps(last.concat(patternMap));
+      if (merged && this.renderDiscordText(discordChannel, merged).length <= DISCORD_MAX_LENGTH) {
+        last.push(patternMap);
+        return result;
+      }
+      return result.concat([[patternMap]]);
+    }, []);
+
+    chunks.forEach(chunk => this.deliverToDiscord(discordChannel, Bot.mergePatternMaps(chunk)));
+  }
+
+  static mergePatternMaps(patternMaps) {
+    return {
+      ...patternMaps[0],
+      text: patternMaps.map(patternMap => patternMap.text).join('\n'),
+      withMentions: patternMaps.map(patternMap => patternMap.withMentions).join('\n')
+    };
+  }
+
+  renderDiscordText(discordChannel, patternMap) {
+    const { format = {} } = this.getMappingOptions(discordChannel, patternMap.ircChannel);
+    // Custom formats are used for webhooks too
+    const defaultFormat = this.findWebhook(discordChannel) ?
+      this.formatWebhookText : this.formatDiscord;
+    return Bot.substitutePattern(format.discord || defaultFormat, patternMap);
+  }
+
+  deliverToDiscord(discordChannel, patternMap) {
+    const { author, ircChannel: channel, withMentions } = patternMap;
+    const webhook = this.findWebhook(discordChannel);
+    if (webhook) {
+      const webhookText = this.renderDiscordText(discordChannel, patternMap);
+      logger.debug('<irc> Sending message to Discord via webhook', withMentions, channel, '->', `#${discordChannel.name}`);
+      webhook.client.send(webhookText, {
+        username: Bot.getWebhookUsername(author),
+        avatarURL: this.getWebhookAvatarURL(author, discordChannel, channel)
+      }).catch((error) => {
+        logger.error('<discord> Received error when sending webhook message', error);
+      });
+      return;
+    }
 
     // Add bold formatting:
     // Use custom formatting from config / default formatting with bold author
-    const withAuthor = Bot.substitutePattern(this.formatDiscord, patternMap);
+    const withAuthor = this.renderDiscordText(discordChannel, patternMap);
     logger.debug('<irc> Sending message to Discord', withMentions, channel, '->', `#${discordChannel.name}`);
-    discordChannel.send(withAuthor);
+    discordChannel.send(withAuthor).then((sentMessage) => {
+      // Remembers who wrote it, for reactions to it
+      if (!sentMessage) return;
+      this.messageMap.add(Bot.getRelayedMessageKey(sentMessage.id), {
+        nickname: author,
+        discordChannel: `#${discordChannel.name}`,
+        ircChannel: channel,
+        text: patternMap.text
+      }, []);
+    }).catch((error) => {
+      logger.error('<discord> Received error when sending message', error);
+    });
   }
 
   formatDirectMessage(author, text) {
-    const withFormat = formatFromIRCToDiscord(text);
+    const withFormat = formatFromIRCToDiscord(text, { colors: this.discordColors, escape: true });
 
     const patternMap = {
       author,
       nickname: author,
       text: withFormat,
       withMentions: withFormat,
+      ircNetwork: this.ircNetwork
     };
 
     const withAuthor = Bot.substitutePattern(this.formatDiscord, patternMap);
@@ -468,11 +1587,14 @@ class Bot {
 
   /* Sends a message to Discord exactly as it appears */
   sendExactToDiscord(channel, text) {
-    const discordChannel = this.findDiscordChannel(channel);
-    if (!discordChannel) return;
-
-    logger.debug('<irc> Sending special message to Discord', text, channel, '->', `#${discordChannel.name}`);
-    discordChannel.send(text);
+    // Nicks and quit/part reasons come from IRC users too
+    const safeText = neutralizeMentions(text);
+    this.findDiscordChannels(channel).forEach((discordChannel) => {
+      if (!this.sendsStatusNotices(discordChannel, channel)) return;
+      logger.debug('<irc> Sending special message to Discord', safeText, channel, '->', `#${discordChannel.name}`);
+      this.flushToDiscord(discordChannel.id);
+      discordChannel.send(safeText);
+    });
   }
 
   createIrcConnections() {
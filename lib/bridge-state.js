@@ -0,0 +1,110 @@
+import _ from 'lodash';
+import fs from 'fs';
+import logger from 'winston';
+
+// Lowercased name of an IRC channel from the channel mapping, without its key
+function getChannelName(ircChannel) {
+  return (_.isString(ircChannel) ? ircChannel : ircChannel.channel).split(' ')[0].toLowerCase();
+}
+
+function isSameLink(link, discordChannel, ircChannel) {
+  return link.discordChannel === discordChannel &&
+    getChannelName(link.ircChannel) === getChannelName(ircChannel);
+}
+
+/*
+  BridgeState class, that keeps the channels linked and unlinked with bridge commands,
+  so they survive restarts. They are merged with the channel mapping of the config at startup.
+  The file has an entry per IRC network, so bots of a multi-network config can share it.
+
+  config sample (to add to bot config):
+
+  "bridgeAdmin": {
+    "discordRoles": ["1234567890"],     // IDs (or names) of the Discord roles allowed to use them,
+                                        // only for channels of the server they're sent on
+    "ircAdmins": ["*!*@trusted.host"],  // hostmasks of the IRC users allowed to use them
+    "command": "!bridge",               // optional, the command prefix
+    "stateFile": "./bridge-state.json"  // optional, where the changes are kept
+  }
+*/
+class BridgeState {
+  constructor(file, network) {
+    this.file = file;
+    this.network = network;
+    this.links = [];
+    this.unlinks = [];
+
+    if (this.file) this.load();
+  }
+
+  readFile() {
+    if (!fs.existsSync(this.file)) return {};
+    return JSON.parse(fs.readFileSync(this.file, { encoding: 'utf8' }));
+  }
+
+  load() {
+    try {
+      const state = this.readFile()[this.network] || {};
+      this.links = state.links || [];
+      this.unlinks = state.unlinks || [];
+    } catch (err) {
+      logger.error(`error loading bridge state from ${this.file} : ${err}`);
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    try {
+      // Keep the entries of the other networks
+      const state = {
+        ...this.readFile(),
+        [this.network]: { links: this.links, unlinks: this.unlinks }
+      };
+      fs.writeFileSync(this.file, JSON.stringify(state, null, 2));
+    } catch (err) {
+      logger.error(`error saving bridge state to ${this.file} : ${err}`);
+    }
+  }
+
+  /**
+   * Remembers that two channels were linked
+   * @param {string} discordChannel - the key of the Discord channel in the mapping
+   * @param {string} ircChannel - with its key, if it has one
+   */
+  link(discordChannel, ircChannel) {
+    this.unlinks = this.unlinks.filter(link => !isSameLink(link, discordChannel, ircChannel));
+    this.links = this.links.filter(link => !isSameLink(link, discordChannel, ircChannel))
+      .concat({ discordChannel, ircChannel });
+    this.save();
+  }
+
+  unlink(discordChannel, ircChannel) {
+    this.links = this.links.filter(link => !isSameLink(link, discordChannel, ircChannel));
+    this.unlinks = this.unlinks.filter(link => !isSameLink(link, discordChannel, ircChannel))
+      .concat({ discordChannel, ircChannel });
+    this.save();
+  }
+
+  /**
+   * Applies the changes to a channel mapping
+   * @param  {object} mapping - the channel mapping of the config
+   * @return {object} a new channel mapping
+   */
+  applyTo(mapping) {
+    const isUnlinked = (discordChannel, ircChannel) =>
+      this.unlinks.some(link => isSameLink(link, discordChannel, ircChannel));
+    const merged = _.mapValues(mapping, (ircChannels, discordChannel) => _.castArray(ircChannels)
+      .filter(ircChannel => !isUnlinked(discordChannel, ircChannel)));
+
+    this.links.forEach(({ discordChannel, ircChannel }) => {
+      const ircChannels = merged[discordChannel] || [];
+      const name = getChannelName(ircChannel);
+      if (ircChannels.some(channel => getChannelName(channel) === name)) return;
+      merged[discordChannel] = ircChannels.concat(ircChannel);
+    });
+
+    return _.omitBy(merged, _.isEmpty);
+  }
+}
+
+export default BridgeState;
@@ -0,0 +1,46 @@
+import _ from 'lodash';
+
+// GuildName/#channel or guildId/#channel
+const qualifiedKeyMatch = /^(.+)\/#([^/]+)$/;
+
+/**
+ * Splits a Discord channel key from the channel mapping into its parts.
+ * Keys are a channel ID, #channel, or a channel qualified with its guild's
+ * name or ID, e.g. "Reactiflux/#general" or "1234567890/#general".
+ * @param  {string} key
+ * @return {object} guild and name for channel names, id for channel IDs
+ */
+export function parseDiscordChannelKey(key) {
+  const match = qualifiedKeyMatch.exec(key);
+  if (match) return { guild: match[1], name: match[2] };
+  if (key.startsWith('#')) return { name: key.slice(1) };
+  return { id: key };
+}
+
+/**
+ * Lists the keys a channel can be mapped with
+ * @param  {TextChannel} channel
+ * @return {string[]}
+ */
+export function getDiscordChannelKeys(channel) {
+  const keys = [channel.id, `#${channel.name}`];
+  if (channel.guild) {
+    keys.push(`${channel.guild.name}/#${channel.name}`, `${channel.guild.id}/#${channel.name}`);
+  }
+  return keys;
+}
+
+/**
+ * Finds the text channels a key from the channel mapping refers to.
+ * Unqualified names can match channels in several guilds.
+ * @param  {Collection} channels - the channels of the Discord client
+ * @param  {string} key
+ * @return {TextChannel[]}
+ */
+export function matchDiscordChannels(channels, key) {
+  const { guild, name, id } = parseDiscordChannelKey(key);
+  if (id) return _.compact([channels.get(id)]);
+  return channels.filter(channel => channel.type === 'text' && channel.name === name &&
+    (!guild || (!!channel.guild && (channel.guild.name === guild || channel.guild.id === guild))))
+    .array();
+}
@@ -0,0 +1,111 @@
+import _ from 'lodash';
+import emojiASCII from './emoji.json';
+
+// Unicode characters of the emoji listed in emoji.json
+const emojiUnicode = {
+  smile: '😄',
+  simple_smile: '🙂',
+  smiley: '😃',
+  grin: '😁',
+  wink: '😉',
+  smirk: '😏',
+  blush: '😊',
+  stuck_out_tongue: '😛',
+  stuck_out_tongue_winking_eye: '😜',
+  stuck_out_tongue_closed_eyes: '😝',
+  disappointed: '😞',
+  astonished: '😲',
+  open_mouth: '😮',
+  heart: '❤',
+  broken_heart: '💔',
+  confused: '😕',
+  angry: '😠',
+  cry: '😢',
+  frowning: '😦',
+  imp: '👿',
+  innocent: '😇',
+  joy: '😂',
+  kissing: '😗',
+  laughing: '😆',
+  neutral_face: '😐',
+  no_mouth: '😶',
+  rage: '😡',
+  smiling_imp: '😈',
+  sob: '😭',
+  sunglasses: '😎',
+  sweat: '😓',
+  sweat_smile: '😅',
+  unamused: '😒'
+};
+
+const VARIATION_SELECTOR = /\ufe0f/g;
+
+const unicodeNames = Object.keys(emojiUnicode).reduce((names, name) => ({
+  ...names,
+  [emojiUnicode[name]]: name
+}), {});
+
+// ASCII form => unicode character, the first name listed in emoji.json wins
+const asciiUnicode = Object.keys(emojiASCII).reduce((unicode, name) => ({
+  [emojiASCII[name]]: emojiUnicode[name],
+  ...unicode
+}), {});
+
+const unicodeMatch = new RegExp(`(${Object.keys(unicodeNames).map(_.escapeRegExp).join('|')})\ufe0f?`, 'g');
+// Only whole smileys, separated from the surrounding text by spaces
+const asciiMatch = new RegExp(`(^|\\s)(${Object.keys(asciiUnicode)
+  .sort((left, right) => right.length - left.length)
+  .map(_.escapeRegExp)
+  .join('|')})(?=$|\\s)`, 'g');
+
+/**
+ * Returns the ASCII form of a unicode emoji from emoji.json, or null if it has none
+ * @param  {string} unicode
+ * @return {?string}
+ */
+export function unicodeToASCII(unicode) {
+  const name = unicodeNames[unicode.replace(VARIATION_SELECTOR, '')];
+  return (name && emojiASCII[name]) || null;
+}
+
+/**
+ * Renders a Discord emoji (as found in reactions) for IRC:
+ * custom guild emoji as :name:, unicode emoji as ASCII when possible
+ * @param  {Emoji|ReactionEmoji} emoji
+ * @return {string}
+ */
+export function emojiToIRC(emoji) {
+  if (emoji.id) return `:${emoji.name}:`;
+  return unicodeToASCII(emoji.name) || emoji.name;
+}
+
+/**
+ * Replaces the unicode emoji of emoji.json in text by their ASCII forms
+ * @param  {string} text
+ * @return {string}
+ */
+export function unicodeEmojiToASCII(text) {
+  return text.replace(unicodeMatch, match => unicodeToASCII(match));
+}
+
+/**
+ * Replaces ASCII smileys in text by their unicode emoji
+ * @param  {string} text
+ * @return {string}
+ */
+export function asciiToUnicodeEmoji(text) {
+  return text.replace(asciiMatch, (match, prefix, ascii) => `${prefix}${asciiUnicode[ascii]}`);
+}
+
+/**
+ * Replaces :name: in text by the custom emoji of that name, if there is one
+ * @param  {string} text
+ * @param  {Collection} emojis - the emojis of the Discord guild
+ * @return {string}
+ */
+export function customEmojiToDiscord(text, emojis) {
+  return text.replace(/:(\w+):/g, (match, name) => {
+    const emoji = emojis.find('name', name);
+    return emoji ? `<:${emoji.name}:${emoji.id}>` : match;
+  });
+}
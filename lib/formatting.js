@@ -1,47 +1,284 @@
+import _ from 'lodash';
 import ircFormatting from 'irc-formatting';
 import SimpleMarkdown from 'simple-markdown';
 import colors from 'irc-colors';
 
+const MONOSPACE = '\x11';
+const STRIKETHROUGH = '\x1e';
+const COLOR = '\x03';
+// Black on black
+const SPOILER_COLOR = '01';
+
+// Names of the 16 standard mIRC colors, by color code
+export const IRC_COLORS = ['white', 'black', 'navy', 'green', 'red', 'brown', 'purple', 'orange',
+  'yellow', 'lime', 'teal', 'cyan', 'blue', 'pink', 'grey', 'silver'];
+const IRC_COLOR_NAMES = IRC_COLORS.join('|');
+
+// ```lang\ncode``` or ```code```
+export const codeBlockMatch = /```(?:([\w+-]*)\n)?([\s\S]*?)```/g;
+
+function monospace(text) {
+  return `${MONOSPACE}${text}${MONOSPACE}`;
+}
+
 function mdNodeToIRC(node) {
   let content = node.content;
   if (Array.isArray(content)) content = content.map(mdNodeToIRC).join('');
   if (node.type === 'em') return colors.italic(content);
   if (node.type === 'strong') return colors.bold(content);
   if (node.type === 'u') return colors.underline(content);
+  if (node.type === 'del') return `${STRIKETHROUGH}${content}${STRIKETHROUGH}`;
+  if (node.type === 'inlineCode') return monospace(content);
   return content;
 }
 
-export function formatFromDiscordToIRC(text) {
-  const markdownAST = SimpleMarkdown.defaultInlineParse(text);
+// Applies a replacement everywhere but inside `inline code`
+function replaceOutsideCode(text, pattern, replacer) {
+  return text.split(/(`[^`]*`)/)
+    .map((part, index) => (index % 2 ? part : part.replace(pattern, replacer)))
+    .join('');
+}
+
+// {red}text{/red}, or {red,yellow}text{/} with a background color
+const colorTagMatch = new RegExp(
+  `\\{(/?)(${IRC_COLOR_NAMES})?(?:,(${IRC_COLOR_NAMES}))?\\}`, 'g'
+);
+
+function colorCode(name) {
+  return _.padStart(String(IRC_COLORS.indexOf(name)), 2, '0');
+}
+
+// Turns {color} tags into IRC color codes
+function colorTagsToIRC(text) {
+  return replaceOutsideCode(text, colorTagMatch, (match, closing, foreground, background) => {
+    if (closing) return COLOR;
+    if (!foreground) return match;
+    return `${COLOR}${colorCode(foreground)}${background ? `,${colorCode(background)}` : ''}`;
+  });
+}
+
+// Hides ||spoilers|| as black on black text, or wraps them in a marker
+function spoilersToIRC(text, marker) {
+  return replaceOutsideCode(text, /\|\|([\s\S]+?)\|\|/g, (match, content) => (
+    marker ? `${marker}${content}${marker}` : `${COLOR}${SPOILER_COLOR},${SPOILER_COLOR}${content}${COLOR}`
+  ));
+}
+
+function formatInlineFromDiscordToIRC(text, options) {
+  const markdownAST = SimpleMarkdown
+    .defaultInlineParse(spoilersToIRC(colorTagsToIRC(text), options.spoilerMarker));
   return markdownAST.map(mdNodeToIRC).join('');
 }
 
-export function formatFromIRCToDiscord(text) {
-  const blocks = ircFormatting.parse(text).map(block => ({
-    // Consider reverse as italic, some IRC clients use that
-    ...block,
-    italic: block.italic || block.reverse
-  }));
-  let mdText = '';
-
-  for (let i = 0; i <= blocks.length; i += 1) {
-    // Default to unstyled blocks when index out of range
-    const block = blocks[i] || {};
-    const prevBlock = blocks[i - 1] || {};
+/**
+ * Returns the lines of a code block's content, without the empty
+ * lines Discord users usually put around it
+ * @param  {string} code
+ * @return {string[]}
+ */
+export function codeBlockLines(code) {
+  return code.replace(/^\n+|\n+$/g, '').split('\n');
+}
 
-    // Add start markers when style turns from false to true
-    if (!prevBlock.italic && block.italic) mdText += '*';
-    if (!prevBlock.bold && block.bold) mdText += '**';
-    if (!prevBlock.underline && block.underline) mdText += '__';
+/**
+ * Converts Discord markdown to IRC formatting
+ * @param  {string} text
+ * @param  {object} [options]
+ * @param  {string} [options.spoilerMarker] - shown around spoilers instead of hiding them
+ * with the same foreground and background color
+ * @return {string}
+ */
+export function formatFromDiscordToIRC(text, options = {}) {
+  // Code blocks are kept as is (in monospace, line by line),
+  // markdown is only parsed in the text around them
+  let result = '';
+  let lastIndex = 0;
+  text.replace(codeBlockMatch, (match, lang, code, offset) => {
+    result += formatInlineFromDiscordToIRC(text.slice(lastIndex, offset), options);
+    result += `\n${codeBlockLines(code).map(line => (line ? monospace(line) : line)).join('\n')}\n`;
+    lastIndex = offset + match.length;
+    return match;
+  });
+  result += formatInlineFromDiscordToIRC(text.slice(lastIndex), options);
+  return result;
+}
+
+/**
+ * Removes all IRC formatting codes from text,
+ * including those irc-colors doesn't know about (italic, strikethrough, monospace)
+ * @param  {string} text
+ * @return {string}
+ */
+export function stripIRCFormatting(text) {
+  return [MONOSPACE, '\x1d', STRIKETHROUGH]
+    .reduce((result, code) => result.split(code).join(''), colors.stripColorsAndStyle(text));
+}
+
+// ANSI foreground codes Discord renders in ```ansi blocks, by IRC color code
+const ANSI_COLORS = [37, 30, 34, 32, 31, 31, 35, 33, 33, 32, 36, 36, 34, 35, 30, 37];
+
+// Markdown of each style, from the outermost to the innermost
+const MARKDOWN_STYLES = [
+  ['spoiler', '||'],
+  ['italic', '*'],
+  ['bold', '**'],
+  ['underline', '__'],
+  ['strikethrough', '~~'],
+  ['monospace', '`']
+];
+
+// URLs and :emoji: names are kept as is, escaping them would break them
+const unescapedMatch = /(https?:\/\/\S+|:\w+:)/;
+
+/**
+ * Escapes the characters Discord would read as markdown
+ * @param  {string} text
+ * @return {string}
+ */
+export function escapeMarkdown(text) {
+  return text.split(unescapedMatch)
+    .map((part, index) => (index % 2 ? part : part.replace(/[\\*_~`|]/g, '\\$&')))
+    .join('');
+}
+
+function formatBlocksToMarkdown(blocks, escape) {
+  // An unstyled block at the end closes the remaining styles
+  return blocks.concat({}).map((block, i) => {
+    const prevBlock = blocks[i - 1] || {};
+    let mdText = '';
 
     // Add end markers when style turns from true to false
     // (and apply in reverse order to maintain nesting)
-    if (prevBlock.underline && !block.underline) mdText += '__';
-    if (prevBlock.bold && !block.bold) mdText += '**';
-    if (prevBlock.italic && !block.italic) mdText += '*';
+    _.forEachRight(MARKDOWN_STYLES, ([style, marker]) => {
+      if (prevBlock[style] && !block[style]) mdText += marker;
+    });
+
+    // Add start markers when style turns from false to true
+    MARKDOWN_STYLES.forEach(([style, marker]) => {
+      if (!prevBlock[style] && block[style]) mdText += marker;
+    });
+
+    // Inline code is shown as is, with backslashes
+    const text = escape && !block.monospace ? escapeMarkdown(block.text || '') : block.text;
+    return mdText + (text || '');
+  }).join('');
+}
+
+function formatBlocksToANSI(blocks) {
+  const ansiText = blocks.map((block) => {
+    const codes = [0];
+    if (block.bold) codes.push(1);
+    if (block.underline) codes.push(4);
+    if (IRC_COLORS[block.color]) codes.push(ANSI_COLORS[block.color]);
+    // Background colors are only kept to hide spoilers
+    if (block.spoiler) codes.push(ANSI_COLORS[block.color] + 10);
+    // Keep the text from closing the code block
+    return `\u001b[${codes.join(';')}m${block.text.replace(/```/g, '`\u200b``')}`;
+  }).join('');
+  return `\n\`\`\`ansi\n${ansiText}\u001b[0m\n\`\`\``;
+}
+
+// Wraps each run of text in the same color with the markdown configured for that color
+function formatBlocksToColorMarkdown(blocks, colorMarkdown, escape) {
+  const runs = blocks.reduce((result, block) => {
+    const lastRun = result[result.length - 1];
+    if (lastRun && lastRun.color === block.color && lastRun.spoiler === block.spoiler) {
+      lastRun.blocks.push(block);
+      return result;
+    }
+    return result.concat({ color: block.color, spoiler: block.spoiler, blocks: [block] });
+  }, []);
+
+  return runs.map((run) => {
+    const marker = (!run.spoiler && colorMarkdown[IRC_COLORS[run.color]]) || '';
+    return `${marker}${formatBlocksToMarkdown(run.blocks, escape)}${marker}`;
+  }).join('');
+}
+
+const extraStyleMatch = new RegExp(`(${STRIKETHROUGH}|${MONOSPACE})`);
+
+// Splits blocks at the strikethrough and monospace codes irc-formatting doesn't know about
+function parseExtraStyles(blocks) {
+  const styles = { strikethrough: false, monospace: false };
+  return _.flatMap(blocks, block => block.text.split(extraStyleMatch).reduce((result, part) => {
+    if (part === STRIKETHROUGH) styles.strikethrough = !styles.strikethrough;
+    else if (part === MONOSPACE) styles.monospace = !styles.monospace;
+    else if (part) return result.concat({ ...block, ...styles, text: part });
+    return result;
+  }, []));
+}
+
+/**
+ * Converts IRC formatting to Discord markdown
+ * @param  {string} text
+ * @param  {object} [options]
+ * @param  {string|object} [options.colors] - how colors are shown on Discord: "ansi" for
+ * colored code blocks, or markdown to wrap each color in (e.g. { "red": "**" }).
+ * Colors are dropped by default.
+ * @param  {boolean} [options.escape] - escapes markdown in the text, so only IRC formatting
+ * codes are turned into markdown
+ * @return {string}
+ */
+export function formatFromIRCToDiscord(text, options = {}) {
+  const blocks = parseExtraStyles(ircFormatting.parse(text)).map((block) => {
+    // Text in the same foreground and background color is hidden, like a spoiler
+    const spoiler = block.color !== -1 && block.color === block.highlight;
+    // Markdown isn't rendered in inline code
+    if (block.monospace) {
+      return {
+        ...block, spoiler, italic: false, bold: false, underline: false, strikethrough: false
+      };
+    }
+    // Consider reverse as italic, some IRC clients use that
+    return { ...block, spoiler, italic: block.italic || block.reverse };
+  });
 
-    mdText += block.text || '';
+  const hasColors = blocks.some(block => IRC_COLORS[block.color] && !block.spoiler);
+  if (hasColors && options.colors === 'ansi') return formatBlocksToANSI(blocks);
+  if (hasColors && _.isPlainObject(options.colors)) {
+    return formatBlocksToColorMarkdown(blocks, options.colors, options.escape);
   }
+  return formatBlocksToMarkdown(blocks, options.escape);
+}
+
+function byteLength(text) {
+  return Buffer.byteLength(text, 'utf8');
+}
+
+/**
+ * Splits text into chunks of at most maxBytes UTF-8 bytes, preferring to split at spaces
+ * @param  {string} text
+ * @param  {number} maxBytes
+ * @return {string[]}
+ */
+export function splitByBytes(text, maxBytes) {
+  const chunks = [];
+  let current = '';
+
+  // Words that don't fit on a line of their own are cut by character
+  const words = text.split(' ').reduce((result, word) => {
+    if (byteLength(word) <= maxBytes) return result.concat(word);
+    let piece = '';
+    Array.from(word).forEach((char) => {
+      if (byteLength(piece + char) > maxBytes) {
+        result.push(piece);
+        piece = '';
+      }
+      piece += char;
+    });
+    return result.concat(piece);
+  }, []);
+
+  words.forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && byteLength(candidate) > maxBytes) {
+      chunks.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) chunks.push(current);
 
-  return mdText;
+  return chunks;
 }
@@ -2,6 +2,77 @@ import _ from 'lodash';
 import Bot from './bot';
 import { ConfigurationError } from './errors';
 
+// network/#channel, the channel part can include a key
+const networkChannelMatch = /^([^#&/\s]+)\/(.+)$/;
+
+/**
+ * Splits a channel mapping with network qualified IRC channels (e.g. "libera/#chan")
+ * into one channel mapping per network
+ * @param  {object} mapping
+ * @param  {string[]} networks - names of the configured networks
+ * @return {object} network name => channel mapping
+ */
+export function splitChannelMapping(mapping, networks) {
+  if (!_.isObject(mapping)) {
+    throw new ConfigurationError('Invalid channel mapping given');
+  }
+
+  const mappings = _.zipObject(networks, networks.map(() => ({})));
+  _.forOwn(mapping, (ircChannels, discordChannel) => {
+    _.castArray(ircChannels).forEach((ircChannel) => {
+      // Channels with options have their name in "channel"
+      const name = _.isPlainObject(ircChannel) ? ircChannel.channel : ircChannel;
+      const match = _.isString(name) && networkChannelMatch.exec(name);
+      if (!match) {
+        throw new ConfigurationError(`IRC channel ${name} for ${discordChannel} must be prefixed with its network, e.g. network/${name}`);
+      }
+      const [, network, channel] = match;
+      if (!mappings[network]) {
+        throw new ConfigurationError(`Unknown IRC network ${network} given for ${discordChannel}`);
+      }
+      const channels = mappings[network][discordChannel] || [];
+      mappings[network][discordChannel] = channels
+        .concat(_.isPlainObject(ircChannel) ? { ...ircChannel, channel } : channel);
+    });
+  });
+
+  // Keep single channels as strings, like in a one-network config
+  return _.mapValues(mappings, networkMapping => _.mapValues(networkMapping, channels => (
+    channels.length === 1 ? channels[0] : channels
+  )));
+}
+
+// Creates a bot for each network of the config, all sharing one Discord client and paste server
+function createNetworkBots(config) {
+  if (!_.isPlainObject(config.networks) || _.isEmpty(config.networks)) {
+    throw new ConfigurationError('Invalid networks given');
+  }
+
+  const mappings = splitChannelMapping(config.channelMapping, _.keys(config.networks));
+  const shared = _.omit(config, 'networks');
+  return _.map(config.networks, (networkConfig, network) => ({
+    ...shared,
+    ...networkConfig,
+    ircNetwork: network,
+    channelMapping: mappings[network]
+  })).reduce((bots, options) => {
+    // The first bot logs in to Discord and purges the channels of every network
+    if (!bots.length) return [new Bot({ ...options, purgeChannelMapping: config.channelMapping })];
+    // The others reuse its client and paste server
+    const [first] = bots;
+    return bots.concat(new Bot({
+      ..._.omit(options, 'purge'),
+      discordClient: first.discord,
+      sharedPaste: first.paste
+    }));
+  }, []);
+}
+
+// A config with networks gives one bot per network, any other config a single bot
+function createConfigBots(config) {
+  return config.networks ? createNetworkBots(config) : [new Bot(config)];
+}
+
 /**
  * Reads from the provided config file and returns an array of bots
  * @return {object[]}
@@ -12,14 +83,16 @@ export function createBots(configFile) {
   // The config file can be both an array and an object
   if (Array.isArray(configFile)) {
     configFile.forEach((config) => {
-      const bot = new Bot(config);
+      createConfigBots(config).forEach((bot) => {
+        bot.connect();
+        bots.push(bot);
+      });
+    });
+  } else if (_.isObject(configFile)) {
+    createConfigBots(configFile).forEach((bot) => {
       bot.connect();
       bots.push(bot);
     });
-  } else if (_.isObject(configFile)) {
-    const bot = new Bot(configFile);
-    bot.connect();
-    bots.push(bot);
   } else {
     throw new ConfigurationError();
   }
@@ -0,0 +1,31 @@
+import _ from 'lodash';
+
+function wildcardToRegExp(pattern) {
+  const source = pattern.split('').map((char) => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return _.escapeRegExp(char);
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks whether an IRC user matches an entry of a config list.
+ * Entries are either a plain nick, or a hostmask such as "*!*@trusted.host"
+ * which may use * and ? wildcards.
+ * @param  {string} entry
+ * @param  {object} user - nick, and user and host when known
+ * @return {boolean}
+ */
+export function matchesHostmask(entry, { nick, user, host }) {
+  if (!_.includes(entry, '!') && !_.includes(entry, '@')) {
+    return !!nick && entry.toLowerCase() === nick.toLowerCase();
+  }
+  // Without the user and host we can't tell who is behind a nick
+  if (!user || !host) return false;
+  return wildcardToRegExp(entry).test(`${nick}!${user}@${host}`);
+}
+
+export function matchesAnyHostmask(entries, ircUser) {
+  return (entries || []).some(entry => matchesHostmask(entry, ircUser));
+}
@@ -0,0 +1,118 @@
+import _ from 'lodash';
+
+const ZERO_WIDTH_SPACE = '\u200b';
+
+const DEFAULT_OPTIONS = {
+  // Convert "name: hello" at the start of a message, as IRC clients do for highlights
+  leadingName: true,
+  // Convert names anywhere in the text, not only when prefixed with @
+  words: false,
+  // Discord user IDs or names that are never mentioned
+  ignore: []
+};
+
+// Lowercased name => items with that name
+function indexByName(items, getName) {
+  const index = {};
+  items.forEach((item) => {
+    const name = getName(item);
+    if (!name) return;
+    const key = name.toLowerCase();
+    index[key] = _.union(index[key] || [], [item]);
+  });
+  return index;
+}
+
+function isIgnored(member, ignore) {
+  const names = [member.id, member.displayName, member.user && member.user.username]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase());
+  return ignore.some(entry => names.includes(String(entry).toLowerCase()));
+}
+
+// Matches a name even when its markdown characters were escaped with backslashes
+function namePattern(name) {
+  return name.split('')
+    .map(char => `${/[*_~`|]/.test(char) ? '\\\\?' : ''}${_.escapeRegExp(char)}`)
+    .join('');
+}
+
+/**
+ * Picks a single match among members sharing a name: an exact (case-sensitive) match wins,
+ * anything else is ambiguous and not mentioned
+ */
+function pickCandidate(candidates, name, getName) {
+  if (candidates.length === 1) return candidates[0];
+  const exact = candidates.filter(member => getName(member) === name);
+  return exact.length === 1 ? exact[0] : null;
+}
+
+/**
+ * Resolves mentions from IRC text to Discord members and roles.
+ * Only the explicit forms are converted: "@name" anywhere, "name:" at the start
+ * of the text and, when the words option is enabled, whole words matching a name.
+ * @param {Collection} members - the members of the Discord channel
+ * @param {Collection} roles - the roles of the Discord guild
+ * @param {object} [options] - leadingName, words, ignore
+ */
+export function convertMentions(text, members, roles, options = {}) {
+  const { leadingName, words, ignore } = { ...DEFAULT_OPTIONS, ...options };
+
+  const mentionable = members.filter(member => !isIgnored(member, ignore));
+  const byDisplayName = indexByName(mentionable, member => member.displayName);
+  const byUsername = indexByName(mentionable, member => member.user && member.user.username);
+  const byRoleName = indexByName(roles.filter(role => role.mentionable), role => role.name);
+
+  const names = _.uniq(Object.keys(byDisplayName)
+    .concat(Object.keys(byUsername), Object.keys(byRoleName)))
+    // Longest names first, so "@john smith" isn't matched as "@john"
+    .sort((left, right) => right.length - left.length)
+    .map(namePattern);
+  if (!names.length) return text;
+
+  const resolve = (escapedName, allowRoles) => {
+    const name = escapedName.replace(/\\([*_~`|])/g, '$1');
+    const key = name.toLowerCase();
+    const nicknameMatches = byDisplayName[key] || [];
+    if (nicknameMatches.length) {
+      const member = pickCandidate(nicknameMatches, name, m => m.displayName);
+      return member ? member.toString() : null;
+    }
+
+    const usernameMatches = byUsername[key] || [];
+    if (usernameMatches.length) {
+      const member = pickCandidate(usernameMatches, name, m => m.user.username);
+      return member ? `<@${member.id}>` : null;
+    }
+
+    const roleMatches = byRoleName[key] || [];
+    if (allowRoles && roleMatches.length) {
+      const role = pickCandidate(roleMatches, name, r => r.name);
+      return role ? `<@&${role.id}>` : null;
+    }
+    return null;
+  };
+
+  const mentionMatch = new RegExp(`(^|[^\\w])(@?)(${names.join('|')})(?=$|[^\\w])`, 'gi');
+  return text.replace(mentionMatch, (match, prefix, at, name, offset) => {
+    const next = text[offset + match.length];
+    const explicit = at === '@';
+    const leading = leadingName && offset === 0 && !prefix && (next === ':' || next === ',');
+    if (!explicit && !leading && !words) return match;
+
+    const mention = resolve(name, explicit);
+    return mention ? `${prefix}${mention}` : match;
+  });
+}
+
+/**
+ * Neutralizes @everyone, @here and raw <@id>, <@!id> and <@&id> mentions
+ * by inserting a zero-width space, so they are shown as text and don't ping anyone
+ * @param  {string} text
+ * @return {string}
+ */
+export function neutralizeMentions(text) {
+  return text
+    .replace(/@(everyone|here)/g, `@${ZERO_WIDTH_SPACE}$1`)
+    .replace(/<@([!&]?\d+)>/g, `<@${ZERO_WIDTH_SPACE}$1>`);
+}
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import logger from 'winston';
+
+/*
+  MessageMap class, that remembers which IRC lines were sent for each Discord message,
+  so later events (deletions, edits...) can refer back to them.
+  Only the most recent messages are kept, and the map can optionally be persisted to disk.
+  The bots of a multi-network config keep one entry per IRC network in the same file.
+
+  config sample (to add to bot config):
+
+  "messageMap": {
+    "size": 1000,                 // number of messages remembered, the oldest are dropped first
+    "file": "./message-map.json", // optional file the map is saved to and restored from
+    "saveInterval": 5000          // delay before changes are written to the file
+  }
+*/
+class MessageMap {
+  constructor(config = {}, network) {
+    this.network = network;
+    this.size = config.size || 1000;
+    this.file = config.file;
+    this.saveInterval = config.saveInterval || 5000;
+    this.saveTimeout = null;
+    this.entries = new Map();
+
+    if (this.file) this.load();
+  }
+
+  readFile() {
+    return JSON.parse(fs.readFileSync(this.file, { encoding: 'utf8' }));
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const saved = this.readFile();
+      const entries = (this.network ? saved[this.network] : saved) || [];
+      entries.forEach(([id, entry]) => this.entries.set(id, entry));
+      this.prune();
+    } catch (err) {
+      logger.error(`error loading message map from ${this.file} : ${err}`);
+    }
+  }
+
+  save() {
+    this.saveTimeout = null;
+    try {
+      const entries = [...this.entries];
+      // Keep the entries of the other networks
+      const state = this.network ? {
+        ...(fs.existsSync(this.file) ? this.readFile() : {}),
+        [this.network]: entries
+      } : entries;
+      fs.writeFileSync(this.file, JSON.stringify(state));
+    } catch (err) {
+      logger.error(`error saving message map to ${this.file} : ${err}`);
+    }
+  }
+
+  scheduleSave() {
+    if (!this.file || this.saveTimeout) return;
+    this.saveTimeout = setTimeout(this.save.bind(this), this.saveInterval);
+  }
+
+  // Drop the oldest entries (Map keeps insertion order) until the size fits
+  prune() {
+    const ids = this.entries.keys();
+    while (this.entries.size > this.size) {
+      this.entries.delete(ids.next().value);
+    }
+  }
+
+  /**
+   * Remembers lines sent to IRC for a Discord message, appending to any earlier ones
+   * @param {string} id - Discord message ID
+   * @param {object} entry - nickname, discordChannel, ircChannel
+   * @param {string[]} lines - the lines sent to IRC
+   */
+  add(id, entry, lines) {
+    const existing = this.entries.get(id);
+    if (existing) {
+      existing.lines = existing.lines.concat(lines);
+    } else {
+      this.entries.set(id, { ...entry, lines });
+      this.prune();
+    }
+    this.scheduleSave();
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  delete(id) {
+    const entry = this.get(id);
+    if (entry) {
+      this.entries.delete(id);
+      this.scheduleSave();
+    }
+    return entry;
+  }
+}
+
+export default MessageMap;
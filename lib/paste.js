@@ -0,0 +1,89 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import logger from 'winston';
+import { ConfigurationError } from './errors';
+
+const pasteFileMatch = /^\/([0-9a-f]+\.txt)$/;
+
+/*
+  Paste class, that writes code blocks too long for IRC to files,
+  so only a link to them has to be sent.
+  The files can be served by a small built-in HTTP server, or by any other web server.
+
+  config sample (to add to bot config):
+
+  "paste": {
+    "threshold": 5,                        // code blocks with more lines than this are pasted
+    "directory": "./pastes",               // where the pasted files are written
+    "url": "http://example.com:8080",      // public URL of the directory, needed without a port
+    "port": 8080                           // optional, serves the directory on this port
+  }
+*/
+class Paste {
+  constructor(config) {
+    if (!config.url && config.port == null) {
+      throw new ConfigurationError('paste needs a url, or a port to serve the pastes on');
+    }
+    this.config = config;
+    this.threshold = config.threshold || 5;
+    this.directory = path.resolve(config.directory || './pastes');
+    this.url = (config.url || `http://localhost:${config.port}`).replace(/\/+$/, '');
+    this.server = null;
+  }
+
+  start() {
+    // Bots of a multi-network config share one paste server, started once
+    if (this.server) return;
+    if (!fs.existsSync(this.directory)) fs.mkdirSync(this.directory);
+    if (this.config.port == null) return;
+
+    this.server = http.createServer(this.handleRequest.bind(this));
+    this.server.on('error', (error) => {
+      logger.error('<paste> Received error from paste server', error);
+    });
+    this.server.listen(this.config.port, this.config.host);
+  }
+
+  stop() {
+    if (this.server) this.server.close();
+    this.server = null;
+  }
+
+  handleRequest(request, response) {
+    // Only serve paste files, never anything outside of the directory
+    const match = pasteFileMatch.exec(request.url);
+    const filePath = match && path.join(this.directory, match[1]);
+    if (request.method !== 'GET' || !filePath || !fs.existsSync(filePath)) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+      return;
+    }
+
+    response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    fs.createReadStream(filePath).pipe(response);
+  }
+
+  shouldPaste(lines) {
+    return lines.length > this.threshold;
+  }
+
+  /**
+   * Writes content to a paste file, named after its hash so identical pastes are reused
+   * @param  {string} content
+   * @return {string} the URL of the paste, null when it couldn't be written
+   */
+  save(content) {
+    const fileName = `${crypto.createHash('sha1').update(content).digest('hex').slice(0, 16)}.txt`;
+    try {
+      fs.writeFileSync(path.join(this.directory, fileName), content);
+    } catch (err) {
+      logger.error(`<paste> Could not write paste to ${this.directory} : ${err}`);
+      return null;
+    }
+    return `${this.url}/${fileName}`;
+  }
+}
+
+export default Paste;
@@ -0,0 +1,76 @@
+import _ from 'lodash';
+import { ConfigurationError } from './errors';
+
+// {$name}, {$name|filter|filter:argument} and {$name?:default}
+const variableMatch = /{\$([^}|?]+?)((?:\|[^}|?]+)*)(?:\?:([^}]*))?}/g;
+// {?$name}shown when name has a value{/?}, {?!$name}shown when it hasn't{/?}
+const conditionalMatch = /{\?(!?)\$([^}]+?)}([\s\S]*?){\/\?}/g;
+
+const filters = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  trim: value => value.trim(),
+  truncate: (value, length) => value.slice(0, Number(length))
+};
+
+// Filters that need an argument, and what it must look like
+const filterArguments = {
+  truncate: { match: /^\d+$/, description: 'a number of characters' }
+};
+
+function parseFilters(filterList) {
+  return filterList.split('|').slice(1).map((filter) => {
+    const [name, argument] = filter.split(':');
+    return { name: name.trim(), argument };
+  });
+}
+
+function hasValue(value) {
+  return !_.isNil(value) && value !== '';
+}
+
+/**
+ * Checks that a template only uses known filters with valid arguments,
+ * throwing an error otherwise
+ * @param  {string} template
+ * @param  {string} name - the format the template is used for, for the error message
+ */
+export function validateTemplate(template, name) {
+  // Some formats can be disabled with null or false
+  if (!_.isString(template)) return;
+  template.replace(variableMatch, (match, varName, filterList) => {
+    parseFilters(filterList).forEach((filter) => {
+      if (!filters[filter.name]) {
+        throw new ConfigurationError(`Unknown filter "${filter.name}" in format.${name}`);
+      }
+      const argument = filterArguments[filter.name];
+      if (argument && !argument.match.test((filter.argument || '').trim())) {
+        throw new ConfigurationError(`Filter "${filter.name}" in format.${name} needs ${argument.description}`);
+      }
+    });
+    return match;
+  });
+}
+
+/**
+ * Fills in a template with values. Conditional segments are kept or dropped first,
+ * then variables are replaced, and left as is when unknown and without a default.
+ * @param  {string} template
+ * @param  {object} values
+ * @return {string}
+ */
+export function renderTemplate(template, values) {
+  return template
+    .replace(conditionalMatch, (match, negate, varName, segment) => (
+      hasValue(values[varName]) === !negate ? segment : ''
+    ))
+    .replace(variableMatch, (match, varName, filterList, defaultValue) => {
+      const value = values[varName];
+      if (!hasValue(value) && defaultValue !== undefined) return defaultValue;
+      // Known but empty patterns (e.g. an embed without a title) are replaced too
+      if (_.isNil(value)) return match;
+      return parseFilters(filterList).reduce((result, filter) => (
+        filters[filter.name] ? filters[filter.name](result, filter.argument) : result
+      ), String(value));
+    });
+}
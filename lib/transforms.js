@@ -0,0 +1,49 @@
+import _ from 'lodash';
+import logger from 'winston';
+import { ConfigurationError } from './errors';
+
+/**
+ * Reads the hooks of one direction from the transforms option,
+ * either a single function or a list of functions run in order
+ * @param  {object} transforms - toIRC and toDiscord
+ * @param  {string} direction
+ * @return {function[]}
+ */
+export function getTransforms(transforms, direction) {
+  const hooks = _.castArray((transforms && transforms[direction]) || []);
+  if (!hooks.every(_.isFunction)) {
+    throw new ConfigurationError(`transforms.${direction} must be a function or a list of functions`);
+  }
+  return hooks;
+}
+
+// Runs a hook on one text. Returning undefined keeps the text, null or false drops it,
+// and a list of texts splits it into several messages.
+function applyTransform(hook, text, context) {
+  return Promise.resolve()
+    .then(() => hook(text, context))
+    .then((result) => {
+      if (result === undefined) return [text];
+      if (result === null || result === false) return [];
+      return _.castArray(result).map(String);
+    })
+    .catch((error) => {
+      // A broken hook shouldn't stop messages from being relayed
+      logger.error('Transform hook failed, message passed on unchanged', error);
+      return [text];
+    });
+}
+
+/**
+ * Runs a message through the hooks in order, each one receiving every text
+ * the previous ones returned
+ * @param  {function[]} hooks
+ * @param  {string} text
+ * @param  {object} context - pattern map of the message, with the message object
+ * @return {Promise<string[]>} the texts to send, none when the message was dropped
+ */
+export function runTransforms(hooks, text, context) {
+  return hooks.reduce((promise, hook) => promise.then(texts =>
+    Promise.all(texts.map(current => applyTransform(hook, current, context))).then(_.flatten)
+  ), Promise.resolve([text]));
+}
@@ -1,6 +1,9 @@
 import _ from 'lodash';
+import irc from 'irc-upd';
 import { ConfigurationError } from './errors';
 
+const MAPPING_DIRECTIONS = ['both', 'toIRC', 'toDiscord'];
+
 /**
  * Validates a given channel mapping, throwing an error if it's invalid
  * @param  {Object} mapping
@@ -11,5 +14,84 @@ export function validateChannelMapping(mapping) {
     throw new ConfigurationError('Invalid channel mapping given');
   }
 
+  // A Discord channel is mapped to an IRC channel, or a list of them,
+  // each given as is or with options: { "channel": "#irc", "direction": "toDiscord" }
+  _.forOwn(mapping, (ircChannels, discordChannel) => {
+    const channels = _.castArray(ircChannels);
+    const isChannel = channel => _.isString(channel) ||
+      (_.isPlainObject(channel) && _.isString(channel.channel));
+    if (!channels.length || !channels.every(isChannel)) {
+      throw new ConfigurationError(`Invalid IRC channels given for ${discordChannel}`);
+    }
+
+    channels.filter(_.isPlainObject).forEach(({ channel, direction = 'both', readOnly }) => {
+      if (!MAPPING_DIRECTIONS.includes(direction)) {
+        throw new ConfigurationError(`Invalid direction "${direction}" given for ${channel} in ${discordChannel}, use "both", "toIRC" or "toDiscord"`);
+      }
+      if (readOnly && direction === 'both') {
+        throw new ConfigurationError(`readOnly needs a one-way direction, given for ${channel} in ${discordChannel}`);
+      }
+    });
+  });
+
+  return mapping;
+}
+
+const webhookURLMatch = /\/webhooks\/\d+\/[\w-]+$/;
+
+/**
+ * Validates a given webhook mapping, throwing an error if it's invalid
+ * @param  {Object} [mapping]
+ * @return {Object}
+ */
+export function validateWebhookMapping(mapping) {
+  if (mapping === undefined) return mapping;
+  if (!_.isObject(mapping)) {
+    throw new ConfigurationError('Invalid webhook mapping given');
+  }
+
+  _.forOwn(mapping, (url, channel) => {
+    if (!_.isString(url) || !webhookURLMatch.test(url)) {
+      throw new ConfigurationError(`Invalid webhook URL given for ${channel}`);
+    }
+  });
+
   return mapping;
 }
+
+// Styles irc-upd lists among its colors
+const NON_COLORS = ['bold', 'underline', 'reset'];
+
+/**
+ * Validates IRC color names (as known to irc-upd), throwing an error if one is unknown
+ * @param  {string[]|Object} [colors] - a list of colors, or an object with colors as values
+ * @param  {string} option - name of the option, for the error message
+ * @return {string[]|Object}
+ */
+export function validateIRCColors(colors, option) {
+  if (colors === undefined) return colors;
+  _.forEach(colors, (color) => {
+    if (!irc.colors.codes[color] || NON_COLORS.includes(color)) {
+      throw new ConfigurationError(`Invalid IRC color "${color}" given in ${option}`);
+    }
+  });
+
+  return colors;
+}
+
+/**
+ * Validates the bridge admin options, throwing an error if they're invalid.
+ * IRC admins need a hostmask, a bare nick can be taken by anyone.
+ * @param  {Object} [bridgeAdmin]
+ * @return {Object}
+ */
+export function validateBridgeAdmin(bridgeAdmin) {
+  if (bridgeAdmin === undefined) return bridgeAdmin;
+  (bridgeAdmin.ircAdmins || []).forEach((entry) => {
+    if (!_.isString(entry) || (!_.includes(entry, '!') && !_.includes(entry, '@'))) {
+      throw new ConfigurationError(`Invalid IRC admin "${entry}" given in bridgeAdmin.ircAdmins, use a hostmask such as "nick!*@trusted.host"`);
+    }
+  });
+
+  return bridgeAdmin;
+}
@@ -1,4 +1,5 @@
 import logger from 'winston';
+import { matchDiscordChannels } from './discord-channels';
 
 /*
   Watcher class, that fetches messages from the configured channels (in channel mappings)
@@ -15,14 +16,11 @@ class Watcher {
   }
 
   start() {
+    // Discord channels are the keys of the mapping, resolved like the bot does
     const chans =
-      Object.values(this.mappings)
-      .map(m =>
-        (m.startsWith('#') ? this.discord.channels.filter(c => c.type === 'text')
-          .find('name', m.slice(1)) :
-          this.discord.channels.get(m))
-      )
-      .filter(c => c !== null);
+      Object.keys(this.mappings)
+      .map(m => matchDiscordChannels(this.discord.channels, m)[0])
+      .filter(c => c != null);
 
     this.chans = chans;
     this.lifeTimeOffset = Watcher.getLifeTimeOffset(this.config.messageLifeTime);
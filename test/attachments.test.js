@@ -0,0 +1,50 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import {
+  formatFileSize,
+  getAttachmentPatternMap,
+  getAttachmentType
+} from '../lib/attachments';
+
+chai.should();
+
+describe('Attachments', function () {
+  it('should format file sizes for humans', function () {
+    formatFileSize(512).should.equal('512 B');
+    formatFileSize(1536).should.equal('1.5 KB');
+    formatFileSize(40 * 1024 * 1024).should.equal('40.0 MB');
+    formatFileSize(3 * 1024 * 1024 * 1024 * 1024).should.equal('3072.0 GB');
+  });
+
+  it('should tell images, videos and other files apart', function () {
+    getAttachmentType({ filename: 'cat.PNG' }).should.equal('image');
+    getAttachmentType({ filename: 'noextension', width: 10, height: 10 }).should.equal('image');
+    getAttachmentType({ filename: 'clip.mp4', width: 1280, height: 720 }).should.equal('video');
+    getAttachmentType({ filename: 'notes.txt' }).should.equal('file');
+  });
+
+  it('should describe attachments for format patterns', function () {
+    getAttachmentPatternMap({
+      url: 'https://cdn/clip.webm',
+      filename: 'clip.webm',
+      filesize: 41943040,
+      width: 1280,
+      height: 720
+    }).should.deep.equal({
+      attachmentURL: 'https://cdn/clip.webm',
+      attachmentFilename: 'clip.webm',
+      attachmentSize: '40.0 MB',
+      attachmentType: 'video',
+      attachmentWidth: 1280,
+      attachmentHeight: 720,
+      attachmentDimensions: '1280x720'
+    });
+  });
+
+  it('should leave unknown metadata empty', function () {
+    const patternMap = getAttachmentPatternMap({ url: 'https://cdn/notes.txt' });
+    patternMap.attachmentFilename.should.equal('notes.txt');
+    patternMap.attachmentSize.should.equal('');
+    patternMap.attachmentDimensions.should.equal('');
+  });
+});
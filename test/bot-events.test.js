@@ -33,7 +33,7 @@ describe('Bot Events', function () {
     this.debugSpy = sandbox.stub(logger, 'debug');
     this.warnSpy = sandbox.stub(logger, 'warn');
     this.errorSpy = sandbox.stub(logger, 'error');
-    this.sendStub = sandbox.stub();
+    this.sendStub = sandbox.stub().resolves();
     this.getUserStub = sandbox.stub();
     irc.Client = ClientStub;
     discord.Client = createDiscordStub(this.sendStub, this.getUserStub);
@@ -96,6 +96,36 @@ describe('Bot Events', function () {
     this.bot.sendToIRC.should.have.been.calledWithExactly(message);
   });
 
+  it('should send message edits to irc', function () {
+    const oldMessage = { type: 'message' };
+    const newMessage = { type: 'message' };
+    this.bot.sendEditToIRC = sandbox.stub();
+
+    this.bot.discord.emit('messageUpdate', oldMessage, newMessage);
+    this.bot.sendEditToIRC.should.have.been.calledWithExactly(oldMessage, newMessage);
+  });
+
+  it('should be possible to disable relaying message edits', function () {
+    const bot = createBot({ ...config, ircEdits: false });
+    bot.sendEditToIRC = sandbox.stub();
+    bot.connect();
+
+    bot.discord.emit('messageUpdate', { type: 'message' }, { type: 'message' });
+    bot.sendEditToIRC.should.not.have.been.called;
+  });
+
+  it('should send message deletions to irc', function () {
+    const message = { id: '1' };
+    const messages = new discord.Collection();
+    messages.set('2', { id: '2' });
+    this.bot.sendDeleteToIRC = sandbox.stub();
+
+    this.bot.discord.emit('messageDelete', message);
+    this.bot.discord.emit('messageDeleteBulk', messages);
+    this.bot.sendDeleteToIRC.getCall(0).args.should.deep.equal([[message]]);
+    this.bot.sendDeleteToIRC.getCall(1).args.should.deep.equal([[{ id: '2' }]]);
+  });
+
   it('should send messages to discord', function () {
     const channel = '#channel';
     const author = 'user';
@@ -109,8 +139,10 @@ describe('Bot Events', function () {
     const author = 'user';
     const text = 'hi';
     const formattedText = `*${text}*`;
-    this.bot.ircClient.emit('notice', author, channel, text);
-    this.bot.sendToDiscord.should.have.been.calledWithExactly(author, channel, formattedText);
+    const message = {};
+    this.bot.ircClient.emit('notice', author, channel, text, message);
+    this.bot.sendToDiscord.should.have.been
+      .calledWithExactly(author, channel, formattedText, message);
   });
 
   it('should not send name change event to discord', function () {
@@ -149,7 +181,8 @@ describe('Bot Events', function () {
     const formattedText = '_hi_';
     const message = {};
     this.bot.ircClient.emit('action', author, channel, text, message);
-    this.bot.sendToDiscord.should.have.been.calledWithExactly(author, channel, formattedText);
+    this.bot.sendToDiscord.should.have.been
+      .calledWithExactly(author, channel, formattedText, message);
   });
 
   it('should keep track of users through names event when irc status notices enabled', function () {
@@ -292,6 +325,25 @@ describe('Bot Events', function () {
     bot.sendExactToDiscord.should.not.have.been.called;
   });
 
+  it('should send join messages for mappings that turn status notices on', function () {
+    const channelMapping = {
+      '#discord': { channel: '#dev', ircStatusNotices: true, announceSelfJoin: true },
+      '#otherdiscord': '#support'
+    };
+    const bot = createBot({ ...config, channelMapping });
+    bot.connect();
+    bot.ircClient.emit('names', '#dev', { [bot.nickname]: '' });
+    bot.ircClient.emit('names', '#support', { [bot.nickname]: '' });
+    bot.channelUsers.should.have.keys('#dev');
+    bot.ircClient.emit('join', '#dev', 'user');
+    bot.ircClient.emit('join', '#dev', bot.nickname);
+    bot.ircClient.emit('join', '#support', 'user');
+    bot.ircClient.emit('join', '#support', bot.nickname);
+    bot.sendExactToDiscord.should.have.been.calledTwice;
+    bot.sendExactToDiscord.getCall(0).args.should.deep.equal(['#dev', '*user* has joined the channel']);
+    bot.sendExactToDiscord.getCall(1).args.should.deep.equal(['#dev', `*${bot.nickname}* has joined the channel`]);
+  });
+
   it('should warn if it receives a part/quit before a names event', function () {
     const bot = createBot({ ...config, ircStatusNotices: true });
     bot.connect();
@@ -1,5 +1,6 @@
 /* eslint-disable no-unused-expressions, prefer-arrow-callback */
 import chai from 'chai';
+import os from 'os';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import irc from 'irc-upd';
@@ -30,7 +31,7 @@ describe('Bot', function () {
     this.infoSpy = sandbox.stub(logger, 'info');
     this.debugSpy = sandbox.stub(logger, 'debug');
     this.errorSpy = sandbox.stub(logger, 'error');
-    this.sendStub = sandbox.stub();
+    this.sendStub = sandbox.stub().resolves();
 
     this.discordUsers = new discord.Collection();
     irc.Client = ClientStub;
@@ -70,9 +71,9 @@ describe('Bot', function () {
     sandbox.restore();
   });
 
-  const createAttachments = (url) => {
+  const createAttachments = (url, details = {}) => {
     const attachments = new discord.Collection();
-    attachments.set(1, { url });
+    attachments.set(1, { url, ...details });
     return attachments;
   };
 
@@ -175,10 +176,80 @@ describe('Bot', function () {
 
     this.bot.sendToIRC(message);
     // Wrap in colors:
-    const expected = `<\u000304${message.author.username}\u000f> ${text}`;
+    const expected = `<\u000305${message.author.username}\u000f> ${text}`;
     ClientStub.prototype.say.should.have.been.calledWith('#irc', expected);
   });
 
+  it('should send DMs from goldenGate users to IRC nicks', function () {
+    const client = { say: sandbox.stub() };
+    this.bot.ircClients.dmuser = client;
+    const message = {
+      content: 'ircnick hello there',
+      mentions: { users: [] },
+      channel: { id: 'dmchannel', type: 'dm' },
+      author: { username: 'dmuser', id: 'dmuser', send: sandbox.stub() }
+    };
+
+    this.bot.sendToIRC(message);
+    client.say.should.have.been.calledOnce;
+    client.say.should.have.been.calledWith('ircnick', 'hello there');
+    message.author.send.should.not.have.been.called;
+  });
+
+  it('should color similar nicks differently', function () {
+    this.bot.getDisplayUsername('alice').should.equal('\u000304alice\u000f');
+    this.bot.getDisplayUsername('andy1').should.equal('\u000310andy1\u000f');
+  });
+
+  it('should pick nick colors from the configured palette', function () {
+    const bot = new Bot({ ...config, ircNickColors: ['dark_green', 'cyan'] });
+    ['alice', 'andy1', 'bob', 'carol'].forEach((nick) => {
+      bot.getDisplayUsername(nick).slice(0, 3).should.be.oneOf(['\u000303', '\u000310']);
+    });
+  });
+
+  it('should not pick excluded nick colors', function () {
+    const bot = new Bot({ ...config, ircNickColorExclude: ['light_red'] });
+    bot.getDisplayUsername('alice').should.not.equal('\u000304alice\u000f');
+  });
+
+  it('should use nick color overrides by Discord user ID', function () {
+    const bot = new Bot({ ...config, ircNickColorOverrides: { 123: 'orange' } });
+    bot.getDisplayUsername('alice', '123').should.equal('\u000307alice\u000f');
+    bot.getDisplayUsername('alice', '456').should.equal('\u000304alice\u000f');
+  });
+
+  it('should throw on unknown nick colors', function () {
+    (() => new Bot({ ...config, ircNickColors: ['light_red', 'bold'] }))
+      .should.throw('Invalid IRC color "bold" given in ircNickColors');
+    (() => new Bot({ ...config, ircNickColors: ['light_red'], ircNickColorExclude: ['light_red'] }))
+      .should.throw('No IRC nick colors left to use');
+  });
+
+  it('should break up nicks sent to IRC with anti-highlight', function () {
+    const bot = new Bot({ ...config, ircAntiHighlight: true, ircAntiHighlightAllowlist: ['Bob'] });
+    bot.connect();
+    const message = {
+      content: 'testmessage',
+      mentions: { users: [] },
+      channel: { name: 'discord' },
+      author: { username: 'alice', id: 'not bot id' },
+      guild: this.guild
+    };
+
+    bot.sendToIRC(message);
+    ClientStub.prototype.say.should.have.been
+      .calledWith('#irc', '<\u000304a\u200blice\u000f> testmessage');
+    bot.getIRCNickname('bob').should.equal('bob');
+    bot.getIRCNickname('a\u200blice').should.equal('a\u200blice');
+  });
+
+  it('should not split characters outside the BMP when breaking up nicks', function () {
+    const bot = new Bot({ ...config, ircAntiHighlight: true });
+    bot.getIRCNickname('\ud83d\ude00bob').should.equal('\ud83d\ude00\u200bbob');
+    bot.getIRCNickname('\ud83d\ude00').should.equal('\ud83d\ude00');
+  });
+
   it('should send to IRC channel mapped by discord channel ID if available', function () {
     const text = 'test message';
     const message = {
@@ -196,7 +267,7 @@ describe('Bot', function () {
     };
 
     // Wrap it in colors:
-    const expected = `<\u000312${message.author.username}\u000f> test message`;
+    const expected = `<\u000303${message.author.username}\u000f> test message`;
     this.bot.sendToIRC(message);
     ClientStub.prototype.say
       .should.have.been.calledWith('#channelforid', expected);
@@ -219,7 +290,7 @@ describe('Bot', function () {
     };
 
     // Wrap it in colors:
-    const expected = `<\u000312${message.author.username}\u000f> test message`;
+    const expected = `<\u000303${message.author.username}\u000f> test message`;
     this.bot.sendToIRC(message);
     ClientStub.prototype.say
       .should.have.been.calledWith('#irc', expected);
@@ -242,7 +313,7 @@ describe('Bot', function () {
     };
 
     this.bot.sendToIRC(message);
-    const expected = `<\u000304${message.author.username}\u000f> ${attachmentUrl}`;
+    const expected = `<\u000305${message.author.username}\u000f> ${attachmentUrl}`;
     ClientStub.prototype.say.should.have.been.calledWith('#irc', expected);
   });
 
@@ -266,12 +337,67 @@ describe('Bot', function () {
     this.bot.sendToIRC(message);
 
     ClientStub.prototype.say.should.have.been.calledWith('#irc',
-      `<\u000304${message.author.username}\u000f> ${text}`);
+      `<\u000305${message.author.username}\u000f> ${text}`);
 
-    const expected = `<\u000304${message.author.username}\u000f> ${attachmentUrl}`;
+    const expected = `<\u000305${message.author.username}\u000f> ${attachmentUrl}`;
     ClientStub.prototype.say.should.have.been.calledWith('#irc', expected);
   });
 
+  it('should use the format of the attachment type with its metadata', function () {
+    const format = { videoAttachment: '<{$nickname}> video: {$attachmentFilename}, {$attachmentSize}' };
+    const bot = new Bot({ ...config, format });
+    bot.connect();
+    const message = {
+      content: '',
+      attachments: createAttachments('https://cdn/clip.mp4', { filename: 'clip.mp4', filesize: 41943040 }),
+      mentions: { users: [] },
+      channel: { name: 'discord' },
+      author: { username: 'otherauthor', id: 'not bot id' },
+      guild: this.guild
+    };
+
+    bot.sendToIRC(message);
+    ClientStub.prototype.say.should.have.been.calledOnce;
+    ClientStub.prototype.say.should.have.been
+      .calledWith('#irc', '<otherauthor> video: clip.mp4, 40.0 MB');
+  });
+
+  it('should combine text and attachments in one line when enabled', function () {
+    const bot = new Bot({ ...config, ircCombineAttachments: true });
+    bot.connect();
+    const message = {
+      content: 'Look at this cat!',
+      attachments: createAttachments('https://image/cat.jpg', { filename: 'cat.jpg', filesize: 2048 }),
+      mentions: { users: [] },
+      channel: { name: 'discord' },
+      author: { username: 'otherauthor', id: 'not bot id' },
+      guild: this.guild
+    };
+
+    bot.sendToIRC(message);
+    ClientStub.prototype.say.should.have.been.calledOnce;
+    ClientStub.prototype.say.should.have.been.calledWith('#irc',
+      '<\u000305otherauthor\u000f> Look at this cat! https://image/cat.jpg (2.0 KB)');
+  });
+
+  it('should not combine text and attachments that would not fit in one line', function () {
+    const bot = new Bot({ ...config, ircCombineAttachments: true });
+    bot.connect();
+    const message = {
+      content: 'a'.repeat(420),
+      attachments: createAttachments('https://image/cat.jpg', { filename: 'cat.jpg', filesize: 2048 }),
+      mentions: { users: [] },
+      channel: { name: 'discord' },
+      author: { username: 'otherauthor', id: 'not bot id' },
+      guild: this.guild
+    };
+
+    bot.sendToIRC(message);
+    ClientStub.prototype.say.should.have.been.calledTwice;
+    ClientStub.prototype.say.should.have.been.calledWith('#irc',
+      '<\u000305otherauthor\u000f> https://image/cat.jpg');
+  });
+
   it('should not send an empty text message with an attachment to IRC', function () {
     const message = {
       content: '',
@@ -338,7 +464,7 @@ describe('Bot', function () {
     };
 
     // Wrap it in colors:
-    const expected = `<\u000312${message.author.username}\u000f> #${message.channel.name}`;
+    const expected = `<\u000303${message.author.username}\u000f> #${message.channel.name}`;
     this.bot.sendToIRC(message);
     ClientStub.prototype.say
       .should.have.been.calledWith('#irc', expected);
@@ -361,7 +487,7 @@ describe('Bot', function () {
 
     // Discord displays "#deleted-channel" if channel doesn't exist (e.g. <#1235>)
     // Wrap it in colors:
-    const expected = `<\u000312${message.author.username}\u000f> #deleted-channel`;
+    const expected = `<\u000303${message.author.username}\u000f> #deleted-channel`;
     this.bot.sendToIRC(message);
     ClientStub.prototype.say
       .should.have.been.calledWith('#irc', expected);
@@ -449,13 +575,204 @@ describe('Bot', function () {
     this.sendStub.should.have.been.calledWith(expected);
   });
 
+  it('should convert animated emotes from discord', function () {
+    const message = {
+      mentions: { users: [] },
+      content: '<a:partyparrot:230473833046343680>'
+    };
+
+    this.bot.parseText(message).should.equal(':partyparrot:');
+  });
+
+  it('should convert unicode emoji from discord to ASCII when enabled', function () {
+    const message = {
+      mentions: { users: [] },
+      content: 'nice 😉'
+    };
+
+    this.bot.parseText(message).should.equal('nice 😉');
+    this.bot = new Bot({ ...configMsgFormatDefault, emoji: { toIRC: { ascii: true } } });
+    this.bot.parseText(message).should.equal('nice ;)');
+  });
+
+  it('should convert ASCII smileys from IRC to unicode emoji when enabled', function () {
+    this.bot = new Bot({ ...configMsgFormatDefault, emoji: { toDiscord: { ascii: true } } });
+    this.bot.connect();
+    this.bot.sendToDiscord('ircuser', '#irc', 'nice ;)');
+    this.sendStub.should.have.been.calledWith('**<ircuser>** nice 😉');
+  });
+
+  it('should not convert custom emoji from IRC when disabled', function () {
+    this.addEmoji({ id: '987', name: 'testemoji', require_colons: true });
+    this.bot = new Bot({ ...configMsgFormatDefault, emoji: { toDiscord: { custom: false } } });
+    this.bot.connect();
+    this.bot.sendToDiscord('ircuser', '#irc', 'a :testemoji:');
+    this.sendStub.should.have.been.calledWith('**<ircuser>** a :testemoji:');
+  });
+
+  it('should escape markdown from IRC', function () {
+    this.bot.sendToDiscord('ircuser', '#irc', 'see __init__ on *nix');
+    this.sendStub.should.have.been.calledWith('**<ircuser>** see \\_\\_init\\_\\_ on \\*nix');
+  });
+
+  it('should send markdown from raw IRC channels as is', function () {
+    this.bot = new Bot({ ...configMsgFormatDefault, rawMarkdownChannels: ['#IRC'] });
+    this.bot.connect();
+    this.bot.sendToDiscord('ircuser', '#irc', 'see __init__ on *nix');
+    this.sendStub.should.have.been.calledWith('**<ircuser>** see __init__ on *nix');
+  });
+
+  it('should drop IRC colors on Discord by default', function () {
+    this.bot.sendToDiscord('ircuser', '#irc', '\x0304red\x03 text');
+    this.sendStub.should.have.been.calledWith('**<ircuser>** red text');
+  });
+
+  it('should send IRC colors to Discord as an ansi code block when enabled', function () {
+    this.bot = new Bot({ ...configMsgFormatDefault, discordColors: 'ansi' });
+    this.bot.connect();
+    this.bot.sendToDiscord('ircuser', '#irc', '\x0304red\x03 text');
+    this.sendStub.should.have.been
+      .calledWith('**<ircuser>** \n```ansi\n\u001b[0;31mred\u001b[0m text\u001b[0m\n```');
+  });
+
   it('should convert newlines from discord', function () {
     const message = {
       mentions: { users: [] },
       content: 'hi\nhi\r\nhi\r'
     };
 
-    this.bot.parseText(message).should.equal('hi hi hi ');
+    this.bot.parseText(message).should.equal('hi\nhi\nhi\n');
+  });
+
+  it('should send each line of a multiline message to IRC', function () {
+    this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false });
+    this.bot.connect();
+    const message = {
+      content: 'first **line**\r\n\nsecond line',
+      mentions: { users: [] },
+      channel: {
+        name: 'discord'
+      },
+      author: {
+        username: 'testauthor',
+        id: 'not bot id'
+      },
+      guild: this.guild
+    };
+
+    this.bot.sendToIRC(message);
+    ClientStub.prototype.say.should.have.been.calledTwice;
+    ClientStub.prototype.say.getCall(0).args.should.deep.equal(['#irc', '<testauthor> first \x02line\x02']);
+    ClientStub.prototype.say.getCall(1).args.should.deep.equal(['#irc', '<testauthor> second line']);
+  });
+
+  it('should split long lines so each fits in an IRC message with its prefix', function () {
+    this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false });
+    this.bot.connect();
+    // Leaves 480 - '#irc'.length = 476 bytes per message
+    this.bot.ircClient.maxLineLength = 480;
+    const word = 'ä'.repeat(9); // 18 bytes
+    const message = {
+      content: Array(30).fill(word).join(' '),
+      mentions: { users: [] },
+      channel: {
+        name: 'discord'
+      },
+      author: {
+        username: 'testauthor',
+        id: 'not bot id'
+      },
+      guild: this.guild
+    };
+
+    this.bot.sendToIRC(message);
+    ClientStub.prototype.say.should.have.been.calledTwice;
+    ClientStub.prototype.say.args.forEach(([, line]) => {
+      line.should.match(/^<testauthor> /);
+      Buffer.byteLength(line, 'utf8').should.be.at.most(476);
+    });
+    const words = ClientStub.prototype.say.args
+      .map(args => args[1].replace('<testauthor> ', '').split(' ').length);
+    (words[0] + words[1]).should.equal(30);
+  });
+
+  it('should send long code blocks to IRC as a paste link', function () {
+    const paste = { threshold: 2, directory: os.tmpdir(), url: 'http://example.com' };
+    this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false, paste });
+    this.bot.connect();
+    const saveStub = sandbox.stub(this.bot.paste, 'save').returns('http://example.com/abc.txt');
+    const message = {
+      content: 'short:\n```a()```\nlong:\n```js\none()\ntwo()\nthree()\n```',
+      mentions: { users: [] },
+      channel: {
+        name: 'discord'
+      },
+      author: {
+        username: 'testauthor',
+        id: 'not bot id'
+      },
+      guild: this.guild
+    };
+
+    this.bot.sendToIRC(message);
+    saveStub.should.have.been.calledOnce;
+    saveStub.should.have.been.calledWith('one()\ntwo()\nthree()');
+    ClientStub.prototype.say.args.should.deep.equal([
+      ['#irc', '<testauthor> short:'],
+      ['#irc', '<testauthor> \x11a()\x11'],
+      ['#irc', '<testauthor> long:'],
+      ['#irc', '<testauthor> http://example.com/abc.txt (3 lines of code)']
+    ]);
+  });
+
+  it('should send long code blocks line by line when they cannot be pasted', function () {
+    const paste = { threshold: 2, directory: os.tmpdir(), url: 'http://example.com' };
+    this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false, paste });
+    this.bot.connect();
+    sandbox.stub(this.bot.paste, 'save').returns(null);
+    const message = {
+      content: '```js\none()\ntwo()\nthree()\n```',
+      mentions: { users: [] },
+      channel: {
+        name: 'discord'
+      },
+      author: {
+        username: 'testauthor',
+        id: 'not bot id'
+      },
+      guild: this.guild
+    };
+
+    this.bot.sendToIRC(message);
+    ClientStub.prototype.say.args.should.deep.equal([
+      ['#irc', '<testauthor> \x11one()\x11'],
+      ['#irc', '<testauthor> \x11two()\x11'],
+      ['#irc', '<testauthor> \x11three()\x11']
+    ]);
+  });
+
+  it('should replace lines beyond ircMaxLines with a note', function () {
+    this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false, ircMaxLines: 2 });
+    this.bot.connect();
+    const message = {
+      content: 'one\ntwo\nthree\nfour',
+      mentions: { users: [] },
+      channel: {
+        name: 'discord'
+      },
+      author: {
+        username: 'testauthor',
+        id: 'not bot id'
+      },
+      guild: this.guild
+    };
+
+    this.bot.sendToIRC(message);
+    ClientStub.prototype.say.args.should.deep.equal([
+      ['#irc', '<testauthor> one'],
+      ['#irc', '<testauthor> two'],
+      ['#irc', '<testauthor> (2 more lines)']
+    ]);
   });
 
   it('should hide usernames for commands to IRC', function () {
@@ -537,6 +854,17 @@ describe('Bot', function () {
     this.sendStub.should.have.been.calledWith(expected);
   });
 
+  it('should apply per-channel mention options from IRC', function () {
+    const testUser = this.addUser({ username: 'testuser', id: '123' });
+    const mentions = { words: false, channels: { '#IRC': { words: true } } };
+    this.bot = new Bot({ ...configMsgFormatDefault, mentions });
+    this.bot.connect();
+
+    this.bot.getMentionOptions('#irc').should.deep.equal({ words: true });
+    this.bot.sendToDiscord('ircuser', '#irc', 'thanks testuser');
+    this.sendStub.should.have.been.calledWith(`**<ircuser>** thanks <@${testUser.id}>`);
+  });
+
   it('should convert role mentions from discord', function () {
     this.addRole({ name: 'example-role', id: '12345' });
     const text = '<@&12345>';
@@ -634,6 +962,21 @@ describe('Bot', function () {
     this.sendStub.should.have.been.calledWith(expected);
   });
 
+  it('should apply filters and conditionals in formats', function () {
+    const format = { discord: '{?$side}({$side}) {/?}**{$author|truncate:4}** {$text|upper}' };
+    const bot = new Bot({ ...configMsgFormatDefault, format });
+    bot.connect();
+
+    bot.sendToDiscord('testuser', '#irc', 'test message');
+    this.sendStub.should.have.been.calledWith('**test** TEST MESSAGE');
+  });
+
+  it('should throw on unknown filters in formats', function () {
+    const format = { ircText: '{$text|sparkle}' };
+    (() => new Bot({ ...configMsgFormatDefault, format }))
+      .should.throw('Unknown filter "sparkle" in format.ircText');
+  });
+
   it('should respect custom formatting for Discord', function () {
     const format = { discord: '<{$author}> {$ircChannel} => {$discordChannel}: {$text}' };
     const bot = new Bot({ ...configMsgFormatDefault, format });
@@ -728,6 +1071,40 @@ describe('Bot', function () {
     ClientStub.prototype.say.should.have.been.calledWith('#irc', expected);
   });
 
+  it('should make the IRC network available in formats', function () {
+    const format = {
+      ircText: '<{$nickname}> {$text} => {$ircNetwork}',
+      discord: '**<{$author}@{$ircNetwork}>** {$withMentions}'
+    };
+    this.bot = new Bot({ ...configMsgFormatDefault, ircNetwork: 'libera', format });
+    this.bot.connect();
+    const message = {
+      content: 'test message',
+      mentions: { users: [] },
+      channel: {
+        name: 'discord'
+      },
+      author: {
+        username: 'testauthor',
+        id: 'not bot id'
+      },
+      guild: this.guild
+    };
+
+    this.bot.sendToIRC(message);
+    ClientStub.prototype.say.should.have.been.calledWith('#irc', '<testauthor> test message => libera');
+    this.bot.sendToDiscord('test', '#irc', 'hi');
+    this.sendStub.should.have.been.calledWith('**<test@libera>** hi');
+  });
+
+  it('should reuse a given Discord client without logging in again', function () {
+    const loginSpy = sandbox.spy(this.bot.discord, 'login');
+    const bot = new Bot({ ...config, discordClient: this.bot.discord });
+    bot.connect();
+    bot.discord.should.equal(this.bot.discord);
+    loginSpy.should.not.have.been.called;
+  });
+
   it('should respect custom formatting for commands in IRC output', function () {
     const format = { commandPrelude: '{$nickname} from {$discordChannel} sent command to {$ircChannel}:' };
     this.bot = new Bot({ ...configMsgFormatDefault, format });
@@ -778,6 +1155,1087 @@ describe('Bot', function () {
     ClientStub.prototype.say.should.have.been.calledWith('#irc', expected);
   });
 
+  describe('mass mentions from IRC', function () {
+    const zws = '\u200b';
+
+    it('should neutralize @everyone', function () {
+      this.bot.sendToDiscord('ircuser', '#irc', 'hey @everyone');
+      this.sendStub.should.have.been.calledWith(`**<ircuser>** hey @${zws}everyone`);
+    });
+
+    it('should neutralize @here', function () {
+      this.bot.sendToDiscord('ircuser', '#irc', '@here look');
+      this.sendStub.should.have.been.calledWith(`**<ircuser>** @${zws}here look`);
+    });
+
+    it('should neutralize raw user mentions', function () {
+      this.bot.sendToDiscord('ircuser', '#irc', '<@123> <@!123>');
+      this.sendStub.should.have.been.calledWith(`**<ircuser>** <@${zws}123> <@${zws}!123>`);
+    });
+
+    it('should neutralize raw role mentions', function () {
+      this.bot.sendToDiscord('ircuser', '#irc', 'ping <@&12345>');
+      this.sendStub.should.have.been.calledWith(`**<ircuser>** ping <@${zws}&12345>`);
+    });
+
+    it('should neutralize mass mentions in commands', function () {
+      this.bot.sendToDiscord('ircuser', '#irc', '!say @everyone');
+      this.sendStub.getCall(1).args.should.deep.equal([`!say @${zws}everyone`]);
+    });
+
+    it('should neutralize mass mentions in special messages', function () {
+      this.bot.sendExactToDiscord('#irc', '*user* has quit (@here <@&12345>)');
+      this.sendStub.should.have.been
+        .calledWith(`*user* has quit (@${zws}here <@${zws}&12345>)`);
+    });
+
+    it('should let allowlisted nicks use mass mentions', function () {
+      this.bot = new Bot({ ...configMsgFormatDefault, mentionEveryoneAllowlist: ['Admin'] });
+      this.bot.connect();
+      this.bot.sendToDiscord('admin', '#irc', '@everyone <@&12345>');
+      this.sendStub.should.have.been.calledWith('**<admin>** @everyone <@&12345>');
+    });
+
+    it('should let allowlisted hostmasks use mass mentions', function () {
+      const mentionEveryoneAllowlist = ['*!*@trusted.host'];
+      this.bot = new Bot({ ...configMsgFormatDefault, mentionEveryoneAllowlist });
+      this.bot.connect();
+      this.bot.sendToDiscord('admin', '#irc', '@here', { user: 'admin', host: 'trusted.host' });
+      this.bot.sendToDiscord('admin', '#irc', '@here', { user: 'admin', host: 'evil.host' });
+      this.sendStub.getCall(0).args.should.deep.equal(['**<admin>** @here']);
+      this.sendStub.getCall(1).args.should.deep.equal([`**<admin>** @${zws}here`]);
+    });
+  });
+
+  describe('embeds', function () {
+    const createEmbedMessage = (guild, embeds, bot = false) => ({
+      content: '',
+      mentions: { users: [] },
+      embeds,
+      channel: {
+        id: '1234',
+        name: 'discord'
+      },
+      author: {
+        username: 'somebot',
+        id: 'not bot id',
+        bot
+      },
+      guild
+    });
+
+    const embed = {
+      type: 'rich',
+      title: 'Build *failed*',
+      description: 'See the logs\nfor details',
+      url: 'https://ci.example.com/1',
+      author: { name: 'CI' },
+      fields: [{ name: 'Branch', value: 'master' }, { name: 'Commit', value: '**abc123**' }]
+    };
+
+    beforeEach(function () {
+      this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false });
+      this.bot.connect();
+    });
+
+    it('should send messages consisting only of embeds to IRC', function () {
+      this.bot.sendToIRC(createEmbedMessage(this.guild, [embed]));
+      ClientStub.prototype.say.args.should.deep.equal([
+        ['#irc', '<somebot> CI: \x02Build \x16failed\x16\x02 https://ci.example.com/1'],
+        ['#irc', '<somebot> See the logs'],
+        ['#irc', '<somebot> for details'],
+        ['#irc', '<somebot> Branch: master'],
+        ['#irc', '<somebot> Commit: \x02abc123\x02']
+      ]);
+    });
+
+    it('should not send link previews to IRC', function () {
+      const preview = { type: 'link', title: 'Example', url: 'https://example.com' };
+      this.bot.sendToIRC(createEmbedMessage(this.guild, [preview]));
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should respect custom formatting for embeds', function () {
+      const format = { ircEmbed: '[{$embedAuthor}] {$embedTitle} <{$embedURL}> {$embedFields}' };
+      this.bot = new Bot({ ...configMsgFormatDefault, format });
+      this.bot.connect();
+      this.bot.sendToIRC(createEmbedMessage(this.guild, [{ type: 'rich', title: 'Hi', fields: [] }]));
+      ClientStub.prototype.say.should.have.been.calledOnce;
+      ClientStub.prototype.say.should.have.been.calledWith('#irc', '[] Hi <> ');
+    });
+
+    it('should not send bot embeds when disabled', function () {
+      this.bot = new Bot({ ...configMsgFormatDefault, ircEmbeds: { bots: false } });
+      this.bot.connect();
+      this.bot.sendToIRC(createEmbedMessage(this.guild, [embed], true));
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should allow bot embeds to be enabled per channel', function () {
+      const ircEmbeds = { bots: false, channels: { 1234: { bots: true } } };
+      this.bot = new Bot({ ...configMsgFormatDefault, ircEmbeds });
+      this.bot.connect();
+      this.bot.sendToIRC(createEmbedMessage(this.guild, [embed], true));
+      ClientStub.prototype.say.should.have.been.called;
+    });
+  });
+
+  describe('transforms', function () {
+    // Lets the promise chain of async hooks settle
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    it('should rewrite messages to IRC before templating', function () {
+      const hook = sandbox.spy((text, context) => `${text} (from ${context.discordChannel})`);
+      this.bot = new Bot({ ...config, transforms: { toIRC: hook } });
+      this.bot.connect();
+      const message = {
+        content: 'hello',
+        mentions: { users: [] },
+        channel: { name: 'discord' },
+        author: { username: 'otherauthor', id: 'not bot id' },
+        guild: this.guild
+      };
+
+      this.bot.sendToIRC(message);
+      return flush().then(() => {
+        hook.should.have.been
+          .calledWithMatch('hello', { nickname: 'otherauthor', ircChannel: '#irc', message });
+        ClientStub.prototype.say
+          .should.have.been.calledWith('#irc', '<\u000305otherauthor\u000f> hello (from #discord)');
+      });
+    });
+
+    it('should drop messages to IRC and their attachments', function () {
+      this.bot = new Bot({ ...config, transforms: { toIRC: () => null } });
+      this.bot.connect();
+      const message = {
+        content: 'hello',
+        mentions: { users: [] },
+        attachments: createAttachments('https://image/url.jpg'),
+        channel: { name: 'discord' },
+        author: { username: 'otherauthor', id: 'not bot id' },
+        guild: this.guild
+      };
+
+      this.bot.sendToIRC(message);
+      return flush().then(() => {
+        ClientStub.prototype.say.should.not.have.been.called;
+      });
+    });
+
+    it('should split messages to Discord', function () {
+      const hook = text => new Promise(resolve => setImmediate(() => resolve(text.split(' | '))));
+      this.bot = new Bot({ ...config, transforms: { toDiscord: [hook] } });
+      this.bot.connect();
+
+      this.bot.sendToDiscord('testuser', '#irc', 'one | two');
+      return flush().then(flush).then(() => {
+        this.sendStub.should.have.been.calledTwice;
+        this.sendStub.getCall(0).args.should.deep.equal(['**<testuser>** one']);
+        this.sendStub.getCall(1).args.should.deep.equal(['**<testuser>** two']);
+      });
+    });
+
+    it('should keep the order of messages when a hook is sometimes slow', function () {
+      const hook = text => (text === 'first' ?
+        new Promise(resolve => setTimeout(() => resolve(text), 10)) : text);
+      this.bot = new Bot({ ...config, transforms: { toDiscord: hook } });
+      this.bot.connect();
+
+      this.bot.sendToDiscord('testuser', '#irc', 'first');
+      this.bot.sendToDiscord('testuser', '#irc', 'second');
+      return new Promise(resolve => setTimeout(resolve, 20)).then(flush).then(() => {
+        this.sendStub.should.have.been.calledTwice;
+        this.sendStub.getCall(0).args.should.deep.equal(['**<testuser>** first']);
+        this.sendStub.getCall(1).args.should.deep.equal(['**<testuser>** second']);
+        this.bot.transformQueues.should.deep.equal({});
+      });
+    });
+
+    it('should run edits through the hooks too', function () {
+      const hook = text => (text.includes('secret') ? null : text.replace('darn', '[redacted]'));
+      this.bot = new Bot({ ...config, ircNickColor: false, transforms: { toIRC: hook } });
+      this.bot.connect();
+      const base = {
+        mentions: { users: [] },
+        channel: { name: 'discord' },
+        author: { username: 'otherauthor', id: 'not bot id' },
+        createdTimestamp: Date.now(),
+        guild: this.guild
+      };
+
+      this.bot.sendEditToIRC({ ...base, content: 'hello' }, { ...base, content: 'hello darn' });
+      this.bot.sendEditToIRC({ ...base, content: 'hello' }, { ...base, content: 'the secret' });
+      return flush().then(() => {
+        ClientStub.prototype.say.should.have.been.calledOnce;
+        ClientStub.prototype.say.should.have.been.calledWith('#irc', '<otherauthor> (edit) hello [redacted]');
+      });
+    });
+
+    it('should still relay messages when a hook throws', function () {
+      const hook = () => { throw new Error('broken hook'); };
+      this.bot = new Bot({ ...config, transforms: { toDiscord: hook } });
+      this.bot.connect();
+
+      this.bot.sendToDiscord('testuser', '#irc', 'hello');
+      return flush().then(() => {
+        this.errorSpy.should.have.been.calledOnce;
+        this.sendStub.should.have.been.calledWith('**<testuser>** hello');
+      });
+    });
+  });
+
+  describe('many-to-many mappings', function () {
+    beforeEach(function () {
+      this.bot = new Bot({
+        ...configMsgFormatDefault,
+        ircNickColor: false,
+        channelMapping: { '#discord': ['#irc', '#irc2'], '#otherdiscord': '#irc' }
+      });
+      this.bot.connect();
+      this.createMessage = (channel, id = '1') => ({
+        id,
+        content: 'hello',
+        mentions: { users: [] },
+        channel,
+        author: { username: 'otherauthor', id: 'not bot id' },
+        guild: this.guild
+      });
+    });
+
+    it('should send a Discord message to all its IRC channels', function () {
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }));
+      ClientStub.prototype.say.should.have.been.calledTwice;
+      ClientStub.prototype.say.should.have.been.calledWith('#irc', '<otherauthor> hello');
+      ClientStub.prototype.say.should.have.been.calledWith('#irc2', '<otherauthor> hello');
+    });
+
+    it('should send an IRC message to all its Discord channels', function () {
+      this.bot.sendToDiscord('ircuser', '#irc', 'hello');
+      this.sendStub.should.have.been.calledTwice;
+      this.sendStub.should.have.been.calledOn(this.bot.discord.channels.get('1234'));
+      this.sendStub.should.have.been.calledOn(this.bot.discord.channels.get('5678'));
+    });
+
+    it('should not relay an IRC message to the other IRC channels of its Discord channel', function () {
+      this.bot.sendToDiscord('ircuser', '#irc2', 'hello');
+      this.sendStub.should.have.been.calledOnce;
+      this.sendStub.should.have.been.calledOn(this.bot.discord.channels.get('1234'));
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should not relay messages the bridge sent itself again', function () {
+      this.bot.sendToDiscord(this.bot.ircClient.nick, '#irc', 'hello');
+      this.bot.sendToIRC({ ...this.createMessage({ name: 'otherdiscord', id: '5678' }), author: { id: 'testid' } });
+      this.sendStub.should.not.have.been.called;
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should send deletion notices to each IRC channel', function () {
+      this.bot.ircDeleteNotices = true;
+      const message = this.createMessage({ name: 'discord', id: '1234' });
+      this.bot.sendToIRC(message);
+      this.bot.sendDeleteToIRC([message]);
+      ClientStub.prototype.say.should.have.been.calledWith('#irc', '* message from otherauthor was removed');
+      ClientStub.prototype.say.should.have.been.calledWith('#irc2', '* message from otherauthor was removed');
+    });
+  });
+
+  describe('guild-qualified mappings', function () {
+    beforeEach(function () {
+      this.warnStub = sandbox.stub(logger, 'warn');
+      this.otherSendStub = sandbox.stub().resolves();
+      Object.assign(this.guild, { name: 'Reactiflux', id: '100' });
+      this.otherGuild = { ...createGuildStub(), name: 'Other Server', id: '200' };
+      this.createBot = (channelMapping) => {
+        this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false, channelMapping });
+        this.bot.connect();
+        this.bot.discord.channels.set('9999', {
+          name: 'discord',
+          id: '9999',
+          type: 'text',
+          send: this.otherSendStub,
+          members: this.otherGuild.members,
+          guild: this.otherGuild
+        });
+      };
+      this.createMessage = channel => ({
+        content: 'hello',
+        mentions: { users: [] },
+        channel,
+        author: { username: 'otherauthor', id: 'not bot id' },
+        guild: channel.guild
+      });
+    });
+
+    it('should send IRC messages to the channel of the given guild name or ID', function () {
+      this.createBot({ 'Other Server/#discord': '#irc', '100/#discord': '#irc2' });
+      this.bot.sendToDiscord('ircuser', '#irc', 'hello');
+      this.otherSendStub.should.have.been.calledOnce;
+      this.sendStub.should.not.have.been.called;
+      this.bot.sendToDiscord('ircuser', '#irc2', 'hello');
+      this.sendStub.should.have.been.calledOnce;
+    });
+
+    it('should send IRC messages once to a channel mapped under several keys', function () {
+      this.createBot({ '#discord': '#irc', 1234: '#irc', '100/#discord': '#irc2', 'Reactiflux/#discord': '#irc2' });
+      this.bot.sendToDiscord('ircuser', '#irc', 'hello');
+      this.sendStub.should.have.been.calledOnce;
+      this.bot.sendToDiscord('ircuser', '#irc2', 'hello');
+      this.sendStub.should.have.been.calledTwice;
+      this.otherSendStub.should.not.have.been.called;
+    });
+
+    it('should only send Discord messages from the given guild', function () {
+      this.createBot({ 'Other Server/#discord': '#irc' });
+      this.bot.sendToIRC(this.createMessage(this.bot.discord.channels.get('1234')));
+      ClientStub.prototype.say.should.not.have.been.called;
+      this.bot.sendToIRC(this.createMessage(this.bot.discord.channels.get('9999')));
+      ClientStub.prototype.say.should.have.been.calledWith('#irc', '<otherauthor> hello');
+    });
+
+    it('should warn about ambiguous channel names once Discord is ready', function () {
+      this.createBot({ '#discord': '#irc', '200/#discord': '#irc2' });
+      this.bot.discord.emit('ready');
+      this.warnStub.should.have.been.calledOnce;
+      this.warnStub.should.have.been.calledWith('<discord> #discord is ambiguous, it matches channels in Reactiflux (100), Other Server (200). Messages from #irc are sent to the one in Reactiflux (100), while messages from all of them reach IRC, use GuildName/#discord or guildId/#discord to choose.');
+    });
+
+    it('should report channels that can\'t be found once Discord is ready', function () {
+      this.createBot({ 'Reactiflux/#missing': '#irc', 4321: ['#irc2', '#irc3'] });
+      this.bot.discord.emit('ready');
+      this.warnStub.should.have.been.calledWith('<discord> No Discord channel found for Reactiflux/#missing, messages from #irc won\'t be relayed to Discord');
+      this.warnStub.should.have.been.calledWith('<discord> No Discord channel found for 4321, messages from #irc2, #irc3 won\'t be relayed to Discord');
+    });
+  });
+
+  describe('one-way mappings', function () {
+    beforeEach(function () {
+      ClientStub.prototype.notice = sandbox.stub();
+      this.authorSendStub = sandbox.stub().returns(Promise.resolve());
+      this.bot = new Bot({
+        ...configMsgFormatDefault,
+        ircNickColor: false,
+        channelMapping: {
+          '#discord': { channel: '#announcements', direction: 'toDiscord', readOnly: true },
+          '#otherdiscord': [
+            { channel: '#irc', direction: 'toIRC' },
+            { channel: '#logs', direction: 'toIRC', readOnly: true }
+          ]
+        }
+      });
+      this.bot.connect();
+      this.createMessage = channel => ({
+        content: 'hello',
+        mentions: { users: [] },
+        channel,
+        author: { username: 'otherauthor', id: 'not bot id', send: this.authorSendStub },
+        guild: this.guild
+      });
+    });
+
+    it('should only relay IRC messages to Discord for toDiscord mappings', function () {
+      this.bot.sendToDiscord('ircuser', '#announcements', 'hello');
+      this.sendStub.should.have.been.calledOnce;
+      this.sendStub.should.have.been.calledOn(this.bot.discord.channels.get('1234'));
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }));
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should only relay Discord messages to IRC for toIRC mappings', function () {
+      this.bot.sendToIRC(this.createMessage({ name: 'otherdiscord', id: '5678' }));
+      ClientStub.prototype.say.should.have.been.calledTwice;
+      ClientStub.prototype.say.should.have.been.calledWith('#irc', '<otherauthor> hello');
+      ClientStub.prototype.say.should.have.been.calledWith('#logs', '<otherauthor> hello');
+      this.bot.sendToDiscord('ircuser', '#irc', 'hello');
+      this.sendStub.should.not.have.been.called;
+    });
+
+    it('should tell Discord users their message was not relayed to a read-only channel', function () {
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }));
+      this.authorSendStub.should.have.been.calledOnce;
+      this.authorSendStub.should.have.been.calledWith('Your message was not relayed: the bridge between #discord and #announcements is read-only');
+    });
+
+    it('should not tell bots and webhooks their message was not relayed', function () {
+      const message = this.createMessage({ name: 'discord', id: '1234' });
+      this.bot.sendToIRC({ ...message, author: { ...message.author, bot: true } });
+      this.bot.sendToIRC({ ...message, webhookID: '4321' });
+      this.authorSendStub.should.not.have.been.called;
+    });
+
+    it('should tell IRC users their message was not relayed to a read-only channel', function () {
+      this.bot.sendToDiscord('ircuser', '#logs', 'hello');
+      ClientStub.prototype.notice.should.have.been.calledOnce;
+      ClientStub.prototype.notice.should.have.been.calledWith('ircuser', 'Your message was not relayed: the bridge between #otherdiscord and #logs is read-only');
+      this.bot.sendToDiscord('ircuser', '#irc', 'hello');
+      ClientStub.prototype.notice.should.have.been.calledOnce;
+    });
+
+    it('should not answer IRC notices', function () {
+      this.bot.sendToDiscord('ircuser', '#logs', '*hello*', { command: 'NOTICE' });
+      ClientStub.prototype.notice.should.not.have.been.called;
+    });
+
+    it('should use the custom read-only notice format, or none', function () {
+      this.bot.formatReadOnlyNotice = '{$ircChannel} is read-only, {$nickname}';
+      this.bot.sendToDiscord('ircuser', '#logs', 'hello');
+      ClientStub.prototype.notice.should.have.been.calledWith('ircuser', '#logs is read-only, ircuser');
+      this.bot.formatReadOnlyNotice = null;
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }));
+      this.authorSendStub.should.not.have.been.called;
+    });
+
+    it('should not send status notices to IRC-only mappings', function () {
+      this.bot.ircStatusNotices = true;
+      this.bot.sendExactToDiscord('#irc', '*ircuser* has joined the channel');
+      this.sendStub.should.not.have.been.called;
+    });
+  });
+
+  describe('per-mapping overrides', function () {
+    beforeEach(function () {
+      this.bot = new Bot({
+        ...configMsgFormatDefault,
+        ircNickColor: false,
+        ircStatusNotices: true,
+        channelMapping: {
+          '#discord': {
+            channel: '#dev',
+            format: {
+              ircText: '[{$nickname}] {$text}',
+              discord: '{$author}: {$withMentions}',
+              commandPrelude: null
+            },
+            commandCharacters: ['?'],
+            ircNickColor: true
+          },
+          '#otherdiscord': ['#support', { channel: '#dev', ircStatusNotices: false }]
+        }
+      });
+      this.bot.connect();
+      this.createMessage = (channel, content = 'hello') => ({
+        content,
+        mentions: { users: [] },
+        channel,
+        author: { username: 'otherauthor', id: 'not bot id' },
+        guild: this.guild
+      });
+    });
+
+    it('should use the formats of the mapping', function () {
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }));
+      ClientStub.prototype.say.should.have.been.calledWith('#dev', '[otherauthor] hello');
+      this.bot.sendToDiscord('ircuser', '#dev', 'hello');
+      this.sendStub.should.have.been.calledOn(this.bot.discord.channels.get('1234'));
+      this.sendStub.should.have.been.calledWith('ircuser: hello');
+      this.sendStub.should.have.been.calledWith('**<ircuser>** hello');
+    });
+
+    it('should use the bot\'s formats for other mappings', function () {
+      this.bot.sendToIRC(this.createMessage({ name: 'otherdiscord', id: '5678' }));
+      ClientStub.prototype.say.should.have.been.calledWith('#support', '<otherauthor> hello');
+      ClientStub.prototype.say.should.have.been.calledWith('#dev', '<otherauthor> hello');
+    });
+
+    it('should use the command characters and formats of the mapping for commands', function () {
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }, '?test'));
+      ClientStub.prototype.say.should.have.been.calledOnce;
+      ClientStub.prototype.say.should.have.been.calledWith('#dev', '?test');
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }, '!test'));
+      ClientStub.prototype.say.should.have.been.calledWith('#dev', '[otherauthor] !test');
+      this.bot.sendToIRC(this.createMessage({ name: 'otherdiscord', id: '5678' }, '?test'));
+      ClientStub.prototype.say.should.have.been.calledWith('#support', '<otherauthor> ?test');
+    });
+
+    it('should color nicks for mappings that turn it on', function () {
+      this.bot.sendToIRC(this.createMessage({ name: 'otherdiscord', id: '5678' }));
+      this.bot.mappingOptions['#otherdiscord']['#support'].format = { ircText: '{$displayUsername}' };
+      this.bot.mappingOptions['#discord']['#dev'].format = { ircText: '{$displayUsername}' };
+      this.bot.sendToIRC(this.createMessage({ name: 'discord', id: '1234' }));
+      ClientStub.prototype.say.should.have.been.calledWith('#dev', '\u000305otherauthor\u000f');
+      this.bot.sendToIRC(this.createMessage({ name: 'otherdiscord', id: '5678' }));
+      ClientStub.prototype.say.should.have.been.calledWith('#support', 'otherauthor');
+    });
+
+    it('should only send status notices to the mappings that have them', function () {
+      this.bot.sendExactToDiscord('#dev', '*user* has joined the channel');
+      this.sendStub.should.have.been.calledOnce;
+      this.sendStub.should.have.been.calledOn(this.bot.discord.channels.get('1234'));
+    });
+
+    it('should throw on unknown filters in the formats of a mapping', function () {
+      const channelMapping = { '#discord': { channel: '#irc', format: { ircText: '{$text|nope}' } } };
+      (() => new Bot({ ...configMsgFormatDefault, channelMapping }))
+        .should.throw('Unknown filter "nope" in format.ircText');
+    });
+  });
+
+  describe('bridge commands', function () {
+    beforeEach(function () {
+      ClientStub.prototype.notice = sandbox.stub();
+      ClientStub.prototype.part = sandbox.stub();
+      this.bot = new Bot({
+        ...config,
+        bridgeAdmin: { discordRoles: ['Bridge admins'], ircAdmins: ['*!*@trusted.host'] }
+      });
+      this.bot.connect();
+      this.addRole({ id: '7', name: 'Bridge admins' });
+      this.addUser({ id: '42', username: 'admin' }, { id: '42', username: 'admin', roles: ['7'] });
+      this.createMessage = (content, author = { id: '42', username: 'admin' }) => ({
+        content,
+        mentions: { users: [] },
+        channel: this.bot.discord.channels.get('5678'),
+        author,
+        guild: this.guild
+      });
+    });
+
+    it('should link channels from Discord and join the IRC channel', function () {
+      this.bot.sendToIRC(this.createMessage('!bridge link <#5678> #New key'));
+      this.bot.channelMapping['5678'].should.equal('#new');
+      this.bot.invertedMapping['#new'].should.equal('5678');
+      ClientStub.prototype.join.should.have.been.calledWith('#New key');
+      this.sendStub.should.have.been.calledWith('Linked 5678 to #new');
+      ClientStub.prototype.say.should.not.have.been.called;
+
+      this.bot.sendToDiscord('ircuser', '#new', 'hello');
+      this.sendStub.should.have.been.calledWith('**<ircuser>** hello');
+    });
+
+    it('should unlink channels from IRC and leave the IRC channel', function () {
+      const message = { user: 'admin', host: 'trusted.host' };
+      this.bot.sendToDiscord('admin', '#irc', '!bridge unlink #discord #IRC', message);
+      (this.bot.channelMapping['#discord'] === undefined).should.be.true;
+      (this.bot.invertedMapping['#irc'] === undefined).should.be.true;
+      ClientStub.prototype.part.should.have.been.calledWith('#irc');
+      ClientStub.prototype.notice.should.have.been.calledWith('admin', 'Unlinked #discord from #irc');
+      this.sendStub.should.not.have.been.called;
+    });
+
+    it('should list the linked channels', function () {
+      this.bot.sendToIRC(this.createMessage('!bridge list'));
+      this.sendStub.should.have.been.calledWith('1234 <-> #channelforid\n#discord <-> #irc\n#notinchannel <-> #otherirc');
+    });
+
+    it('should log replies that cannot be sent', function () {
+      const error = new Error('Missing Permissions');
+      this.sendStub.rejects(error);
+      this.bot.sendToIRC(this.createMessage('!bridge list'));
+      return Promise.resolve().then(() => {
+        this.errorSpy.should.have.been.calledWith('<discord> Could not reply to a bridge command', error);
+      });
+    });
+
+    it('should find links made under another key of the channel', function () {
+      this.bot.sendToIRC(this.createMessage('!bridge link <#1234> #irc'));
+      this.sendStub.should.have.been.calledWith('1234 is already linked to #irc');
+      this.bot.channelMapping['1234'].should.equal('#channelforid');
+
+      this.bot.sendToIRC(this.createMessage('!bridge unlink <#1234> #irc'));
+      this.sendStub.should.have.been.calledWith('Unlinked 1234 from #irc');
+      (this.bot.channelMapping['#discord'] === undefined).should.be.true;
+      this.bot.channelMapping['1234'].should.equal('#channelforid');
+    });
+
+    it('should reply with errors for invalid commands', function () {
+      this.bot.sendToIRC(this.createMessage('!bridge link #nowhere #irc'));
+      this.sendStub.should.have.been.calledWith('No Discord channel found for #nowhere');
+      this.bot.sendToIRC(this.createMessage('!bridge link #discord #irc'));
+      this.sendStub.should.have.been.calledWith('#discord is already linked to #irc');
+      this.bot.sendToIRC(this.createMessage('!bridge unlink #discord #other'));
+      this.sendStub.should.have.been.calledWith('#discord isn\'t linked to #other');
+      this.bot.sendToIRC(this.createMessage('!bridge link #discord irc'));
+      this.sendStub.should.have.been.calledWith('Invalid IRC channel irc');
+      this.bot.sendToIRC(this.createMessage('!bridge relink'));
+      this.sendStub.should.have.been.calledWith('Usage: !bridge link <discord-channel> <irc-channel> [key], !bridge unlink <discord-channel> <irc-channel> or !bridge list');
+    });
+
+    it('should relay bridge commands from other users like any message', function () {
+      this.bot.sendToDiscord('someone', '#irc', '!bridge unlink #discord #irc');
+      this.bot.channelMapping['#discord'].should.equal('#irc');
+      this.sendStub.should.have.been.calledWith('!bridge unlink #discord #irc');
+
+      this.addUser({ id: '43', username: 'someone' }, { id: '43', username: 'someone', roles: [] });
+      const message = this.createMessage('!bridge list', { id: '43', username: 'someone' });
+      message.channel = this.bot.discord.channels.get('1234');
+      this.bot.sendToIRC(message);
+      ClientStub.prototype.say.should.have.been.calledWithMatch('#irc', sinon.match('!bridge list'));
+    });
+
+    it('should refuse IRC admins given as bare nicks', function () {
+      (() => new Bot({ ...config, bridgeAdmin: { ircAdmins: ['admin'] } }))
+        .should.throw('Invalid IRC admin "admin" given in bridgeAdmin.ircAdmins');
+    });
+
+    it('should only link channels of the server a Discord command was sent on', function () {
+      this.bot.discord.channels.set('9999', {
+        name: 'private',
+        id: '9999',
+        type: 'text',
+        send: sandbox.stub().resolves(),
+        guild: { ...createGuildStub(), name: 'Other Server' }
+      });
+      this.bot.sendToIRC(this.createMessage('!bridge link <#9999> #mirror'));
+      this.sendStub.should.have.been.calledWith('No Discord channel found for 9999');
+      (this.bot.channelMapping['9999'] === undefined).should.be.true;
+      ClientStub.prototype.join.should.not.have.been.calledWith('#mirror');
+
+      const message = { user: 'admin', host: 'trusted.host' };
+      this.bot.sendToDiscord('admin', '#irc', '!bridge link 9999 #mirror', message);
+      this.bot.channelMapping['9999'].should.equal('#mirror');
+    });
+
+    it('should only handle channels of its own network in multi-network configs', function () {
+      const bot = new Bot({
+        ...config,
+        ircNetwork: 'libera',
+        discordClient: this.bot.discord,
+        bridgeAdmin: { discordRoles: ['7'] }
+      });
+      bot.connect();
+      bot.sendToIRC(this.createMessage('!bridge link #otherdiscord oftc/#oftc'));
+      this.sendStub.should.not.have.been.called;
+      bot.sendToIRC(this.createMessage('!bridge link #otherdiscord #libera'));
+      this.sendStub.should.not.have.been.called;
+      bot.sendToIRC(this.createMessage('!bridge link #otherdiscord libera/#libera'));
+      bot.channelMapping['#otherdiscord'].should.equal('#libera');
+      this.sendStub.should.have.been.calledWith('Linked #otherdiscord to #libera');
+    });
+  });
+
+  describe('coalescing', function () {
+    beforeEach(function () {
+      this.clock = sandbox.useFakeTimers();
+      this.bot = new Bot({
+        ...configMsgFormatDefault,
+        discordCoalesce: { window: 1000 }
+      });
+      this.bot.connect();
+    });
+
+    it('should merge consecutive lines from the same nick', function () {
+      this.bot.sendToDiscord('alice', '#irc', 'one');
+      this.clock.tick(500);
+      this.bot.sendToDiscord('alice', '#irc', 'two');
+      this.sendStub.should.not.have.been.called;
+
+      this.clock.tick(1000);
+      this.sendStub.should.have.been.calledOnce;
+      this.sendStub.should.have.been.calledWith('**<alice>** one\ntwo');
+    });
+
+    it('should send the lines of another nick separately', function () {
+      this.bot.sendToDiscord('alice', '#irc', 'one');
+      this.bot.sendToDiscord('bob', '#irc', 'two');
+      this.sendStub.should.have.been.calledOnce;
+      this.sendStub.should.have.been.calledWith('**<alice>** one');
+
+      this.clock.tick(1000);
+      this.sendStub.should.have.been.calledTwice;
+      this.sendStub.should.have.been.calledWith('**<bob>** two');
+    });
+
+    it('should split merged lines at the Discord length limit', function () {
+      const line = 'a'.repeat(900);
+      this.bot.sendToDiscord('alice', '#irc', line);
+      this.bot.sendToDiscord('alice', '#irc', line);
+      this.bot.sendToDiscord('alice', '#irc', line);
+
+      this.clock.tick(1000);
+      this.sendStub.should.have.been.calledTwice;
+      this.sendStub.getCall(0).args.should.deep.equal([`**<alice>** ${line}\n${line}`]);
+      this.sendStub.getCall(1).args.should.deep.equal([`**<alice>** ${line}`]);
+    });
+
+    it('should send held back lines before commands and status notices', function () {
+      this.bot.ircStatusNotices = true;
+      this.bot.sendToDiscord('alice', '#irc', 'one');
+      this.bot.sendToDiscord('alice', '#irc', '!command');
+      this.sendStub.args.should.deep.equal([
+        ['**<alice>** one'],
+        ['Command sent from IRC by alice:'],
+        ['!command']
+      ]);
+
+      this.bot.sendToDiscord('alice', '#irc', 'two');
+      this.bot.sendExactToDiscord('#irc', '*alice* has left the channel');
+      this.sendStub.getCall(3).args.should.deep.equal(['**<alice>** two']);
+      this.sendStub.getCall(4).args.should.deep.equal(['*alice* has left the channel']);
+    });
+
+    it('should not merge lines of a nick from different IRC channels', function () {
+      this.bot = new Bot({
+        ...configMsgFormatDefault,
+        channelMapping: { '#discord': ['#irc', '#irc2'] },
+        format: { discord: '**<{$author}@{$ircChannel}>** {$withMentions}' },
+        discordCoalesce: { window: 1000 }
+      });
+      this.bot.connect();
+      this.bot.sendToDiscord('alice', '#irc', 'one');
+      this.bot.sendToDiscord('alice', '#irc2', 'two');
+
+      this.clock.tick(1000);
+      this.sendStub.should.have.been.calledTwice;
+      this.sendStub.getCall(0).args.should.deep.equal(['**<alice@#irc>** one']);
+      this.sendStub.getCall(1).args.should.deep.equal(['**<alice@#irc2>** two']);
+    });
+
+    it('should not merge lines in channels with a window of 0', function () {
+      this.bot = new Bot({
+        ...configMsgFormatDefault,
+        discordCoalesce: { window: 1000, channels: { '#IRC': { window: 0 } } }
+      });
+      this.bot.connect();
+      this.bot.sendToDiscord('alice', '#irc', 'one');
+      this.bot.sendToDiscord('alice', '#irc', 'two');
+      this.sendStub.should.have.been.calledTwice;
+    });
+  });
+
+  describe('reactions', function () {
+    beforeEach(function () {
+      this.clock = sandbox.useFakeTimers();
+      ClientStub.prototype.notice = sandbox.stub();
+      ClientStub.prototype.action = sandbox.stub();
+      this.bot = new Bot({ ...configMsgFormatDefault, ircReactions: { removals: true } });
+      this.bot.connect();
+
+      this.message = {
+        id: '42',
+        content: 'this is the **first** message of the conversation today',
+        mentions: { users: [] },
+        channel: {
+          name: 'discord'
+        },
+        author: {
+          username: 'alice',
+          id: 'alice id'
+        },
+        guild: this.guild
+      };
+      this.react = (username, emoji, event = 'messageReactionAdd') => {
+        this.bot.discord.emit(event, { message: this.message, emoji }, { username, id: `${username} id` });
+      };
+    });
+
+    it('should send reactions to IRC as a notice', function () {
+      this.react('bob', { name: '👍', id: null });
+      ClientStub.prototype.notice.should.not.have.been.called;
+      this.clock.tick(2000);
+      ClientStub.prototype.notice.should.have.been.calledOnce;
+      ClientStub.prototype.notice.should.have.been.calledWith('#irc',
+        '* bob reacted 👍 to alice: "this is the first message of the…"');
+    });
+
+    it('should name the IRC user for reactions to messages relayed from IRC', function () {
+      this.sendStub.resolves({ id: '99' });
+      this.bot.sendToDiscord('ircuser', '#irc', 'hello from irc');
+      return Promise.resolve().then(() => {
+        this.message = {
+          id: '99',
+          content: '**<ircuser>** hello from irc',
+          mentions: { users: [] },
+          channel: { name: 'discord' },
+          author: this.bot.discord.user,
+          guild: this.guild
+        };
+        this.react('bob', { name: '👍', id: null });
+        this.clock.tick(2000);
+        ClientStub.prototype.notice.should.have.been.calledWith('#irc',
+          '* bob reacted 👍 to ircuser: "hello from irc"');
+      });
+    });
+
+    it('should convert emoji to ASCII and show custom emoji by name', function () {
+      this.react('bob', { name: '😉', id: null });
+      this.react('bob', { name: 'partyparrot', id: '123' });
+      this.clock.tick(2000);
+      ClientStub.prototype.notice.should.have.been.calledWith('#irc',
+        '* bob reacted ;) :partyparrot: to alice: "this is the first message of the…"');
+    });
+
+    it('should aggregate a burst of reactions into one line', function () {
+      this.react('bob', { name: '👍', id: null });
+      this.react('carol', { name: '👍', id: null });
+      this.react('dave', { name: '🎉', id: null });
+      this.clock.tick(2000);
+      ClientStub.prototype.notice.should.have.been.calledOnce;
+      ClientStub.prototype.notice.should.have.been.calledWith('#irc',
+        '* bob, carol, dave reacted 👍 🎉 to alice: "this is the first message of the…"');
+    });
+
+    it('should send removed reactions separately', function () {
+      this.react('bob', { name: '👍', id: null });
+      this.react('bob', { name: '👍', id: null }, 'messageReactionRemove');
+      this.clock.tick(2000);
+      ClientStub.prototype.notice.should.have.been.calledTwice;
+      ClientStub.prototype.notice.should.have.been.calledWith('#irc',
+        '* bob removed 👍 from alice: "this is the first message of the…"');
+    });
+
+    it('should use actions when configured', function () {
+      const ircReactions = { type: 'action', delay: 0 };
+      const format = { ircReaction: 'reacted {$emoji} for {$reactor}' };
+      this.bot = new Bot({ ...configMsgFormatDefault, ircReactions, format });
+      this.bot.connect();
+      this.react('bob', { name: '❤️', id: null });
+      this.clock.tick(0);
+      ClientStub.prototype.action.should.have.been.calledWith('#irc', 'reacted <3 for bob');
+    });
+
+    it('should not send reactions unless enabled', function () {
+      this.bot = new Bot(configMsgFormatDefault);
+      this.bot.connect();
+      this.react('bob', { name: '👍', id: null });
+      this.clock.tick(2000);
+      ClientStub.prototype.notice.should.not.have.been.called;
+    });
+
+    it('should not send its own reactions', function () {
+      this.bot.discord.emit('messageReactionAdd', { message: this.message, emoji: { name: '👍' } },
+        { username: 'bot', id: this.bot.discord.user.id });
+      this.clock.tick(2000);
+      ClientStub.prototype.notice.should.not.have.been.called;
+    });
+  });
+
+  describe('message edits', function () {
+    const createEdit = (guild, oldContent, newContent, createdTimestamp = Date.now()) => {
+      const base = {
+        mentions: { users: [] },
+        channel: {
+          name: 'discord'
+        },
+        author: {
+          username: 'testauthor',
+          id: 'not bot id'
+        },
+        createdTimestamp,
+        guild
+      };
+      return [{ ...base, content: oldContent }, { ...base, content: newContent }];
+    };
+
+    beforeEach(function () {
+      this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false });
+      this.bot.connect();
+    });
+
+    it('should send edited messages to IRC', function () {
+      const [oldMessage, newMessage] = createEdit(this.guild, 'helo', 'hello **world**');
+      this.bot.sendEditToIRC(oldMessage, newMessage);
+      ClientStub.prototype.say.should.have.been.calledWith('#irc',
+        '<testauthor> (edit) hello \x02world\x02');
+    });
+
+    it('should respect custom formatting for edits', function () {
+      this.bot = new Bot({ ...configMsgFormatDefault, format: { ircEdit: '* {$nickname} meant: {$text}' } });
+      this.bot.connect();
+      const [oldMessage, newMessage] = createEdit(this.guild, 'helo', 'hello');
+      this.bot.sendEditToIRC(oldMessage, newMessage);
+      ClientStub.prototype.say.should.have.been.calledWith('#irc', '* testauthor meant: hello');
+    });
+
+    it('should not send edits that did not change the content', function () {
+      const [oldMessage, newMessage] = createEdit(this.guild, 'hello', 'hello');
+      this.bot.sendEditToIRC(oldMessage, newMessage);
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should not send edits of commands', function () {
+      const [oldMessage, newMessage] = createEdit(this.guild, '!tset', '!test');
+      this.bot.sendEditToIRC(oldMessage, newMessage);
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should not send edits of messages older than ircEditMaxAge', function () {
+      this.bot = new Bot({ ...configMsgFormatDefault, ircEditMaxAge: 5 });
+      this.bot.connect();
+      const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
+      const [oldMessage, newMessage] = createEdit(this.guild, 'helo', 'hello', tenMinutesAgo);
+      this.bot.sendEditToIRC(oldMessage, newMessage);
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should only send the changed part with ircEditDiff', function () {
+      this.bot = new Bot({ ...configMsgFormatDefault, ircNickColor: false, ircEditDiff: true });
+      this.bot.connect();
+      const [oldMessage, newMessage] = createEdit(this.guild,
+        'the quick brown fox jumps', 'the quick red fox jumps');
+      this.bot.sendEditToIRC(oldMessage, newMessage);
+      ClientStub.prototype.say.should.have.been.calledWith('#irc', '<testauthor> (edit) red');
+    });
+
+    it('should compute word diffs of edits', function () {
+      Bot.getEditDiff('a b c', 'a b c d').should.equal('d');
+      Bot.getEditDiff('a b c', 'x b c').should.equal('x');
+      Bot.getEditDiff('a b c d', 'a d').should.equal('-b c');
+      Bot.getEditDiff('a a', 'a a a').should.equal('a');
+    });
+  });
+
+  describe('message deletions', function () {
+    const createMessage = (guild, id, content) => ({
+      id,
+      content,
+      mentions: { users: [] },
+      channel: {
+        name: 'discord'
+      },
+      author: {
+        username: 'testauthor',
+        id: 'not bot id'
+      },
+      guild
+    });
+
+    beforeEach(function () {
+      this.deleteConfig = {
+        ...configMsgFormatDefault,
+        ircNickColor: false,
+        ircDeleteNotices: true
+      };
+      this.bot = new Bot(this.deleteConfig);
+      this.bot.connect();
+    });
+
+    it('should remember the lines sent to IRC for each message', function () {
+      this.bot.sendToIRC(createMessage(this.guild, '1', 'hello'));
+      this.bot.messageMap.get('1:#irc').should.deep.equal({
+        nickname: 'testauthor',
+        discordChannel: '#discord',
+        ircChannel: '#irc',
+        lines: ['<testauthor> hello']
+      });
+    });
+
+    it('should send a notice to IRC when a relayed message is deleted', function () {
+      const message = createMessage(this.guild, '1', 'hello');
+      this.bot.sendToIRC(message);
+      this.bot.sendDeleteToIRC([message]);
+      ClientStub.prototype.say.lastCall.args.should.deep.equal([
+        '#irc', '* message from testauthor was removed'
+      ]);
+      (this.bot.messageMap.get('1:#irc') === null).should.be.true;
+    });
+
+    it('should not send a notice for messages that were never relayed', function () {
+      this.bot.sendDeleteToIRC([createMessage(this.guild, '1', 'hello')]);
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+
+    it('should not send deletion notices unless enabled', function () {
+      this.bot = new Bot(configMsgFormatDefault);
+      this.bot.connect();
+      const message = createMessage(this.guild, '1', 'hello');
+      this.bot.sendToIRC(message);
+      this.bot.sendDeleteToIRC([message]);
+      ClientStub.prototype.say.should.have.been.calledOnce;
+    });
+
+    it('should respect custom formatting for deletions', function () {
+      const format = { ircDelete: '{$nickname} removed "{$text}" in {$discordChannel}' };
+      this.bot = new Bot({ ...this.deleteConfig, format });
+      this.bot.connect();
+      const message = createMessage(this.guild, '1', 'hello');
+      this.bot.sendToIRC(message);
+      this.bot.sendDeleteToIRC([message]);
+      ClientStub.prototype.say.lastCall.args.should.deep.equal([
+        '#irc', 'testauthor removed "<testauthor> hello" in #discord'
+      ]);
+    });
+
+    it('should send a single notice for bulk deletions', function () {
+      const messages = [
+        createMessage(this.guild, '1', 'hello'),
+        createMessage(this.guild, '2', 'world'),
+        createMessage(this.guild, '3', 'never relayed')
+      ];
+      this.bot.sendToIRC(messages[0]);
+      this.bot.sendToIRC(messages[1]);
+      this.bot.sendDeleteToIRC(messages);
+      ClientStub.prototype.say.should.have.been.calledThrice;
+      ClientStub.prototype.say.lastCall.args.should.deep.equal(['#irc', '* 2 messages were removed']);
+    });
+  });
+
+  describe('with webhooks', function () {
+    const webhookConfig = {
+      ...configMsgFormatDefault,
+      webhooks: {
+        '#discord': 'https://discordapp.com/api/webhooks/4321/webhooktoken'
+      }
+    };
+
+    beforeEach(function () {
+      this.webhookSendStub = sandbox.stub().returns(Promise.resolve());
+      sandbox.stub(discord, 'WebhookClient')
+        .callsFake((id, token) => ({ id, token, send: this.webhookSendStub }));
+    });
+
+    it('should connect a webhook client per configured channel', function () {
+      this.bot = new Bot(webhookConfig);
+      this.bot.connect();
+
+      this.bot.webhooks['#discord'].id.should.equal('4321');
+      this.bot.webhooks['#discord'].client.token.should.equal('webhooktoken');
+    });
+
+    it('should send messages through the webhook with the IRC nick as username', function () {
+      this.bot = new Bot(webhookConfig);
+      this.bot.connect();
+
+      this.bot.sendToDiscord('testuser', '#irc', 'test message');
+      this.sendStub.should.not.have.been.called;
+      this.webhookSendStub.should.have.been.calledWith('test message', {
+        username: 'testuser',
+        avatarURL: 'https://www.gravatar.com/avatar/5d9c68c6c50ed3d02a2fcf54f63993b6?d=identicon'
+      });
+    });
+
+    it('should use the custom avatar URL and discord format for webhooks', function () {
+      const format = {
+        discord: '{$text} (from {$ircChannel})',
+        webhookAvatarURL: 'https://robohash.org/{$nickname}'
+      };
+      this.bot = new Bot({ ...webhookConfig, format });
+      this.bot.connect();
+
+      this.bot.sendToDiscord('testuser', '#irc', 'test message');
+      this.webhookSendStub.should.have.been.calledWith('test message (from #irc)', {
+        username: 'testuser',
+        avatarURL: 'https://robohash.org/testuser'
+      });
+    });
+
+    it('should pad and truncate webhook usernames to the allowed length', function () {
+      Bot.getWebhookUsername('a').should.equal('a_');
+      Bot.getWebhookUsername('x'.repeat(40)).should.equal('x'.repeat(32));
+    });
+
+    it('should not send messages from its own webhooks back to IRC', function () {
+      this.bot = new Bot(webhookConfig);
+      this.bot.connect();
+      const message = {
+        content: 'test message',
+        mentions: { users: [] },
+        webhookID: '4321',
+        channel: {
+          name: 'discord'
+        },
+        author: {
+          username: 'testuser',
+          id: '4321'
+        },
+        guild: this.guild
+      };
+
+      this.bot.sendToIRC(message);
+      ClientStub.prototype.say.should.not.have.been.called;
+    });
+  });
+
   it('should not bother with command prelude if falsy', function () {
     const format = { commandPrelude: null };
     this.bot = new Bot({ ...configMsgFormatDefault, format });
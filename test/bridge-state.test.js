@@ -0,0 +1,60 @@
+/* eslint-disable no-unused-expressions, prefer-arrow-callback */
+import chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BridgeState from '../lib/bridge-state';
+
+chai.should();
+
+describe('Bridge State', function () {
+  const mapping = {
+    '#discord': ['#irc', { channel: '#dev key', direction: 'toDiscord' }],
+    '#other': '#other-irc'
+  };
+
+  it('should leave the mapping as is without changes', function () {
+    new BridgeState(undefined, 'libera').applyTo(mapping).should.deep.equal({
+      '#discord': ['#irc', { channel: '#dev key', direction: 'toDiscord' }],
+      '#other': ['#other-irc']
+    });
+  });
+
+  it('should add linked channels and remove unlinked ones', function () {
+    const state = new BridgeState(undefined, 'libera');
+    state.link('#discord', '#new key');
+    state.link('#discord', '#IRC');
+    state.link('1234', '#irc');
+    state.unlink('#discord', '#dev');
+    state.unlink('#other', '#other-irc');
+    state.applyTo(mapping).should.deep.equal({
+      '#discord': ['#irc', '#new key'],
+      1234: ['#irc']
+    });
+  });
+
+  it('should forget a link when the channels are unlinked, and the other way around', function () {
+    const state = new BridgeState(undefined, 'libera');
+    state.link('#discord', '#new');
+    state.unlink('#discord', '#new');
+    state.unlink('#discord', '#irc');
+    state.link('#discord', '#irc');
+    state.links.should.deep.equal([{ discordChannel: '#discord', ircChannel: '#irc' }]);
+    state.unlinks.should.deep.equal([{ discordChannel: '#discord', ircChannel: '#new' }]);
+  });
+
+  it('should persist the changes of each network to a file and restore them', function () {
+    const file = path.join(os.tmpdir(), `discord-irc-bridge-state-${process.pid}.json`);
+    try {
+      new BridgeState(file, 'libera').link('#discord', '#libera');
+      new BridgeState(file, 'oftc').unlink('#discord', '#irc');
+
+      new BridgeState(file, 'libera').applyTo(mapping)['#discord']
+        .should.deep.equal(['#irc', { channel: '#dev key', direction: 'toDiscord' }, '#libera']);
+      new BridgeState(file, 'oftc').applyTo(mapping)['#discord']
+        .should.deep.equal([{ channel: '#dev key', direction: 'toDiscord' }]);
+    } finally {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  });
+});
@@ -6,7 +6,7 @@ import config from './fixtures/single-test-config.json';
 import caseConfig from './fixtures/case-sensitivity-config.json';
 import DiscordStub from './stubs/discord-stub';
 import ClientStub from './stubs/irc-client-stub';
-import { validateChannelMapping } from '../lib/validators';
+import { validateChannelMapping, validateWebhookMapping } from '../lib/validators';
 
 chai.should();
 
@@ -34,6 +34,68 @@ describe('Channel Mapping', () => {
     (wrap).should.not.throw();
   });
 
+  it('should fail when given an invalid webhook URL', () => {
+    const wrongMapping = { '#discord': 'https://example.com/not-a-webhook' };
+    function wrap() {
+      validateWebhookMapping(wrongMapping);
+    }
+
+    (wrap).should.throw('Invalid webhook URL given for #discord');
+  });
+
+  it('should not fail if given a proper webhook mapping', () => {
+    const correctMapping = { '#discord': 'https://discordapp.com/api/webhooks/123/abc-DEF_1' };
+    function wrap() {
+      validateWebhookMapping(correctMapping);
+    }
+
+    (wrap).should.not.throw();
+  });
+
+  it('should fail when given invalid IRC channels', () => {
+    function wrap() {
+      validateChannelMapping({ '#discord': ['#irc', 42] });
+    }
+
+    (wrap).should.throw('Invalid IRC channels given for #discord');
+  });
+
+  it('should fail when given an invalid mapping direction', () => {
+    function wrap() {
+      validateChannelMapping({ '#discord': { channel: '#irc', direction: 'sideways' } });
+    }
+
+    (wrap).should.throw('Invalid direction "sideways" given for #irc in #discord, use "both", "toIRC" or "toDiscord"');
+  });
+
+  it('should fail when given a read-only mapping both ways', () => {
+    function wrap() {
+      validateChannelMapping({ '#discord': [{ channel: '#irc', readOnly: true }] });
+    }
+
+    (wrap).should.throw('readOnly needs a one-way direction, given for #irc in #discord');
+  });
+
+  it('should read IRC channels given with options', () => {
+    const bot = new Bot({
+      ...config,
+      channelMapping: { '#discord': ['#irc', { channel: '#News key', direction: 'toDiscord' }] }
+    });
+    bot.ircChannelsByDiscord['#discord'].should.deep.equal(['#irc', '#news']);
+    bot.mappingOptions['#discord']['#news'].should.deep.equal({ direction: 'toDiscord' });
+    bot.channels.should.deep.equal(['#irc', '#News key']);
+  });
+
+  it('should map a Discord channel to several IRC channels and back', () => {
+    const bot = new Bot({
+      ...config,
+      channelMapping: { '#discord': ['#irc', '#IRC2 key'], '#otherdiscord': '#irc' }
+    });
+    bot.ircChannelsByDiscord['#discord'].should.deep.equal(['#irc', '#irc2']);
+    bot.discordChannelsByIRC['#irc'].should.deep.equal(['#discord', '#otherdiscord']);
+    bot.channels.should.deep.equal(['#irc', '#IRC2 key']);
+  });
+
   it('should clear channel keys from the mapping', () => {
     const bot = new Bot(config);
     bot.channelMapping['#discord'].should.equal('#irc');
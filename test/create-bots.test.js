@@ -8,6 +8,7 @@ import testConfig from './fixtures/test-config.json';
 import singleTestConfig from './fixtures/single-test-config.json';
 import badConfig from './fixtures/bad-config.json';
 import stringConfig from './fixtures/string-config.json';
+import networksConfig from './fixtures/networks-config.json';
 import { createBots } from '../lib/helpers';
 
 chai.should();
@@ -55,6 +56,65 @@ describe('Create Bots', function () {
     (wrap).should.throw('Invalid configuration file given');
   });
 
+  it('should create a bot per network sharing one Discord client', function () {
+    const bots = createBots(networksConfig);
+    bots.length.should.equal(2);
+    this.connectStub.should.have.been.calledTwice;
+    bots[1].discord.should.equal(bots[0].discord);
+    bots[0].ownsDiscordClient.should.be.true;
+    bots[1].ownsDiscordClient.should.be.false;
+    bots[0].commandCharacters.should.deep.equal(['!', '.']);
+    bots[1].commandCharacters.should.deep.equal(['!', '.']);
+  });
+
+  it('should share the paste server and only purge from the first network bot', function () {
+    sandbox.useFakeTimers();
+    const bots = createBots({
+      ...networksConfig,
+      paste: { url: 'http://example.com' },
+      purge: { purgeTimerInterval: 10000, watcherInterval: 5000, messageLifeTime: { days: 1 } },
+      messageMap: { file: './message-map.json' }
+    });
+    bots[1].paste.should.equal(bots[0].paste);
+    bots[0].watcher.mappings.should.equal(networksConfig.channelMapping);
+    (bots[1].purger === undefined).should.be.true;
+    bots[0].messageMap.network.should.equal('libera');
+    bots[1].messageMap.network.should.equal('oftc');
+  });
+
+  it('should split the channel mapping by network', function () {
+    const [libera, oftc] = createBots(networksConfig);
+    libera.ircNetwork.should.equal('libera');
+    libera.server.should.equal('irc.libera.chat');
+    libera.channelMapping.should.deep.equal({
+      '#discord': '#irc',
+      1234: '#channelforid'
+    });
+    libera.channels.should.have.members(['#irc channelKey', '#channelforid']);
+    oftc.ircNetwork.should.equal('oftc');
+    oftc.nickname.should.equal('Reactiflux2');
+    oftc.channelMapping.should.deep.equal({
+      '#discord': '#irc',
+      '#otherdiscord': '#other'
+    });
+  });
+
+  it('should throw if a channel of a networks config has no known network', function () {
+    const unqualified = {
+      ...networksConfig,
+      channelMapping: { '#discord': '#irc' }
+    };
+    (() => createBots(unqualified)).should.throw(
+      'IRC channel #irc for #discord must be prefixed with its network, e.g. network/#irc'
+    );
+
+    const unknown = {
+      ...networksConfig,
+      channelMapping: { '#discord': 'efnet/#irc' }
+    };
+    (() => createBots(unknown)).should.throw('Unknown IRC network efnet given for #discord');
+  });
+
   it('should be possible to run it through require(\'discord-irc\')', function () {
     const bots = index(singleTestConfig);
     bots.length.should.equal(1);
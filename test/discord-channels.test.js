@@ -0,0 +1,51 @@
+/* eslint-disable no-unused-expressions, prefer-arrow-callback */
+import chai from 'chai';
+import discord from 'discord.js';
+import {
+  getDiscordChannelKeys,
+  matchDiscordChannels,
+  parseDiscordChannelKey
+} from '../lib/discord-channels';
+
+chai.should();
+
+describe('Discord channels', function () {
+  const reactiflux = { name: 'Reactiflux', id: '100' };
+  const other = { name: 'Other/Server', id: '200' };
+  const channels = new discord.Collection();
+  channels.set('1', { id: '1', name: 'general', type: 'text', guild: reactiflux });
+  channels.set('2', { id: '2', name: 'general', type: 'text', guild: other });
+  channels.set('3', { id: '3', name: 'general', type: 'voice', guild: other });
+
+  it('should parse channel IDs, names and guild-qualified names', function () {
+    parseDiscordChannelKey('1234').should.deep.equal({ id: '1234' });
+    parseDiscordChannelKey('#general').should.deep.equal({ name: 'general' });
+    parseDiscordChannelKey('Reactiflux/#general')
+      .should.deep.equal({ guild: 'Reactiflux', name: 'general' });
+    parseDiscordChannelKey('Other/Server/#general')
+      .should.deep.equal({ guild: 'Other/Server', name: 'general' });
+  });
+
+  it('should list the keys a channel can be mapped with', function () {
+    getDiscordChannelKeys(channels.get('1'))
+      .should.deep.equal(['1', '#general', 'Reactiflux/#general', '100/#general']);
+  });
+
+  it('should match text channels in every guild for unqualified names', function () {
+    matchDiscordChannels(channels, '#general').map(channel => channel.id)
+      .should.deep.equal(['1', '2']);
+  });
+
+  it('should match channels of the given guild name or ID', function () {
+    matchDiscordChannels(channels, 'Other/Server/#general').map(channel => channel.id)
+      .should.deep.equal(['2']);
+    matchDiscordChannels(channels, '100/#general').map(channel => channel.id)
+      .should.deep.equal(['1']);
+    matchDiscordChannels(channels, 'Nowhere/#general').should.deep.equal([]);
+  });
+
+  it('should match channels by ID', function () {
+    matchDiscordChannels(channels, '3').map(channel => channel.id).should.deep.equal(['3']);
+    matchDiscordChannels(channels, '4').should.deep.equal([]);
+  });
+});
@@ -0,0 +1,52 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import discord from 'discord.js';
+import {
+  asciiToUnicodeEmoji,
+  customEmojiToDiscord,
+  emojiToIRC,
+  unicodeEmojiToASCII,
+  unicodeToASCII
+} from '../lib/emoji';
+
+chai.should();
+
+describe('Emoji', function () {
+  it('should convert unicode emoji to their ASCII form', function () {
+    unicodeToASCII('😄').should.equal(':)');
+    unicodeToASCII('💔').should.equal('</3');
+  });
+
+  it('should ignore variation selectors', function () {
+    unicodeToASCII('❤️').should.equal('<3');
+  });
+
+  it('should return null for emoji without an ASCII form', function () {
+    chai.expect(unicodeToASCII('🎉')).to.equal(null);
+  });
+
+  it('should render reaction emoji for IRC', function () {
+    emojiToIRC({ name: '😉', id: null }).should.equal(';)');
+    emojiToIRC({ name: '🎉', id: null }).should.equal('🎉');
+    emojiToIRC({ name: 'partyparrot', id: '123' }).should.equal(':partyparrot:');
+  });
+
+  it('should replace unicode emoji in text by their ASCII form', function () {
+    unicodeEmojiToASCII('hi 😄 I ❤️ it 🎉').should.equal('hi :) I <3 it 🎉');
+  });
+
+  it('should replace whole ASCII smileys in text by unicode emoji', function () {
+    asciiToUnicodeEmoji(':) hi :( 8) >:( </3').should.equal('😄 hi 😞 😎 😠 💔');
+  });
+
+  it('should not replace ASCII smileys inside other text', function () {
+    asciiToUnicodeEmoji('see http://x.org/:) and (a:))').should.equal('see http://x.org/:) and (a:))');
+  });
+
+  it('should replace :name: by custom guild emoji', function () {
+    const emojis = new discord.Collection();
+    emojis.set('987', { id: '987', name: 'testemoji' });
+    customEmojiToDiscord(':testemoji: and :unknown:', emojis)
+      .should.equal('<:testemoji:987> and :unknown:');
+  });
+});
@@ -1,7 +1,13 @@
 /* eslint-disable prefer-arrow-callback */
 
 import chai from 'chai';
-import { formatFromDiscordToIRC, formatFromIRCToDiscord } from '../lib/formatting';
+import {
+  formatFromDiscordToIRC,
+  escapeMarkdown,
+  formatFromIRCToDiscord,
+  splitByBytes,
+  stripIRCFormatting
+} from '../lib/formatting';
 
 chai.should();
 
@@ -20,14 +26,54 @@ describe('Formatting', () => {
       formatFromDiscordToIRC('__text__').should.equal('\x1ftext\x1f');
     });
 
-    it('should ignore strikethrough markdown', () => {
-      formatFromDiscordToIRC('~~text~~').should.equal('text');
+    it('should convert strikethrough markdown', () => {
+      formatFromDiscordToIRC('~~text~~').should.equal('\x1etext\x1e');
+    });
+
+    it('should hide spoilers with the same foreground and background color', () => {
+      formatFromDiscordToIRC('the end: ||**twist**||').should.equal('the end: \x0301,01\x02twist\x02\x03');
+    });
+
+    it('should wrap spoilers in the marker when given', () => {
+      formatFromDiscordToIRC('||twist||', { spoilerMarker: '[spoiler]' })
+        .should.equal('[spoiler]twist[spoiler]');
+    });
+
+    it('should not convert spoilers in inline code', () => {
+      formatFromDiscordToIRC('`a || b || c`').should.equal('\x11a || b || c\x11');
     });
 
     it('should convert nested markdown', () => {
       formatFromDiscordToIRC('**bold *italics***')
         .should.equal('\x02bold \x16italics\x16\x02');
     });
+
+    it('should convert inline code to monospace', () => {
+      formatFromDiscordToIRC('run `rm *.tmp*` now').should.equal('run \x11rm *.tmp*\x11 now');
+    });
+
+    it('should keep code blocks as is, line by line', () => {
+      formatFromDiscordToIRC('code:\n```js\nconst a = *b*;\n\nrun();\n```\n**done**')
+        .should.equal('code:\n\n\x11const a = *b*;\x11\n\n\x11run();\x11\n\n\x02done\x02');
+    });
+
+    it('should handle code blocks without a language', () => {
+      formatFromDiscordToIRC('```single line```').should.equal('\n\x11single line\x11\n');
+    });
+
+    it('should convert color tags', () => {
+      formatFromDiscordToIRC('{red}alert{/} and {blue}info{/blue}')
+        .should.equal('\x0304alert\x03 and \x0312info\x03');
+    });
+
+    it('should convert color tags with a background', () => {
+      formatFromDiscordToIRC('{white,black}text{/}').should.equal('\x0300,01text\x03');
+    });
+
+    it('should ignore unknown colors and tags in code', () => {
+      formatFromDiscordToIRC('{rainbow}text{/rainbow}').should.equal('{rainbow}text{/rainbow}');
+      formatFromDiscordToIRC('`{red}`').should.equal('\x11{red}\x11');
+    });
   });
 
   describe('IRC to Discord', () => {
@@ -60,5 +106,99 @@ describe('Formatting', () => {
       formatFromIRCToDiscord('\x02bold \x1funderline\x1f\x02')
         .should.equal('**bold __underline__**');
     });
+
+    it('should convert strikethrough IRC format', () => {
+      formatFromIRCToDiscord('\x1etext\x1e \x02\x1eboth\x1e\x02').should.equal('~~text~~ **~~both~~**');
+    });
+
+    it('should convert monospace IRC format to inline code', () => {
+      formatFromIRCToDiscord('run \x11\x02rm\x02 *.tmp\x11 now').should.equal('run `rm *.tmp` now');
+    });
+
+    it('should convert text in the same foreground and background color to spoilers', () => {
+      formatFromIRCToDiscord('the end: \x0301,01\x02twist\x02\x03').should.equal('the end: ||**twist**||');
+    });
+
+    it('should escape markdown when asked to', () => {
+      formatFromIRCToDiscord('*nix __init__ snake_case \x02bold\x02 a|b', { escape: true })
+        .should.equal('\\*nix \\_\\_init\\_\\_ snake\\_case **bold** a\\|b');
+    });
+
+    it('should not escape markdown in inline code', () => {
+      formatFromIRCToDiscord('\x11__init__\x11', { escape: true }).should.equal('`__init__`');
+    });
+
+    it('should convert colors to an ansi code block', () => {
+      formatFromIRCToDiscord('\x0304red\x03 \x02plain\x02', { colors: 'ansi' })
+        .should.equal('\n```ansi\n\u001b[0;31mred\u001b[0m \u001b[0;1mplain\u001b[0m\n```');
+    });
+
+    it('should not use an ansi code block without colors', () => {
+      formatFromIRCToDiscord('\x02text\x02', { colors: 'ansi' }).should.equal('**text**');
+    });
+
+    it('should wrap colors in the configured markdown', () => {
+      const colors = { red: '**', green: '__' };
+      formatFromIRCToDiscord('\x0304alert\x03 \x0303\x1dok\x1d\x03 \x0312blue', { colors })
+        .should.equal('**alert** __*ok*__ blue');
+    });
+  });
+
+  describe('Escaping', () => {
+    it('should escape markdown characters and backslashes', () => {
+      escapeMarkdown('~~a~~ `b` \\o/').should.equal('\\~\\~a\\~\\~ \\`b\\` \\\\o/');
+    });
+
+    it('should keep URLs and emoji names as is', () => {
+      escapeMarkdown('see http://example.com/a_b :thinking_face: a_b')
+        .should.equal('see http://example.com/a_b :thinking_face: a\\_b');
+    });
+  });
+
+  describe('Round trip', () => {
+    [
+      '**bold** *italics* __underline__',
+      '~~strike~~ and `code`',
+      '||spoiler|| after',
+      '**~~bold strike~~**'
+    ].forEach((markdown) => {
+      it(`should keep ${markdown} from Discord to IRC and back`, () => {
+        formatFromIRCToDiscord(formatFromDiscordToIRC(markdown)).should.equal(markdown);
+      });
+    });
+
+    [
+      '\x1estrike\x1e \x11code\x11',
+      '\x0301,01spoiler\x03 after'
+    ].forEach((ircText) => {
+      it(`should keep ${JSON.stringify(ircText)} from IRC to Discord and back`, () => {
+        formatFromDiscordToIRC(formatFromIRCToDiscord(ircText)).should.equal(ircText);
+      });
+    });
+  });
+
+  describe('Splitting', () => {
+    it('should not split text that fits', () => {
+      splitByBytes('short text', 10).should.deep.equal(['short text']);
+    });
+
+    it('should split text at spaces', () => {
+      splitByBytes('hello world foo', 11).should.deep.equal(['hello world', 'foo']);
+    });
+
+    it('should count bytes instead of characters', () => {
+      splitByBytes('éé éé', 4).should.deep.equal(['éé', 'éé']);
+    });
+
+    it('should cut words longer than the maximum', () => {
+      splitByBytes('aaaaaaaaaa b', 4).should.deep.equal(['aaaa', 'aaaa', 'aa b']);
+    });
+  });
+
+  describe('Stripping', () => {
+    it('should remove all IRC formatting codes', () => {
+      stripIRCFormatting('\x02a\x02 \x16b\x16 \x1dc\x1d \x11d\x11 \x1ee\x1e \x0304,01f\x03')
+        .should.equal('a b c d e f');
+    });
   });
 });
@@ -0,0 +1,35 @@
+/* eslint-disable no-unused-expressions, prefer-arrow-callback */
+import chai from 'chai';
+import { matchesHostmask, matchesAnyHostmask } from '../lib/hostmask';
+
+chai.should();
+
+describe('Hostmask', function () {
+  const ircUser = { nick: 'Alice', user: '~alice', host: 'user/alice' };
+
+  it('should match plain nicks case-insensitively', function () {
+    matchesHostmask('alice', ircUser).should.be.true;
+    matchesHostmask('bob', ircUser).should.be.false;
+  });
+
+  it('should match hostmasks with wildcards', function () {
+    matchesHostmask('*!*@user/alice', ircUser).should.be.true;
+    matchesHostmask('alice!?alice@user/*', ircUser).should.be.true;
+    matchesHostmask('*!*@user/bob', ircUser).should.be.false;
+  });
+
+  it('should not treat other regex characters as special', function () {
+    matchesHostmask('*!*@user.alice', { ...ircUser, host: 'user.alice' }).should.be.true;
+    matchesHostmask('*!*@user.alice', { ...ircUser, host: 'userxalice' }).should.be.false;
+  });
+
+  it('should not match hostmasks when the host is unknown', function () {
+    matchesHostmask('*!*@*', { nick: 'alice' }).should.be.false;
+  });
+
+  it('should match any entry of a list', function () {
+    matchesAnyHostmask(['bob', '*!*@user/alice'], ircUser).should.be.true;
+    matchesAnyHostmask([], ircUser).should.be.false;
+    matchesAnyHostmask(undefined, ircUser).should.be.false;
+  });
+});
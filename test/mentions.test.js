@@ -0,0 +1,97 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import discord from 'discord.js';
+import { convertMentions } from '../lib/mentions';
+
+chai.should();
+
+describe('Mentions', function () {
+  const createMember = (id, username, nickname = null) => ({
+    id,
+    user: { id, username },
+    displayName: nickname || username,
+    toString: () => `<@${nickname ? '!' : ''}${id}>`
+  });
+
+  const createCollection = (items) => {
+    const collection = new discord.Collection();
+    items.forEach(item => collection.set(item.id, item));
+    return collection;
+  };
+
+  beforeEach(function () {
+    this.members = createCollection([
+      createMember('1', 'Al'),
+      createMember('2', 'alice'),
+      createMember('3', 'c++dev'),
+      createMember('4', 'john', 'John Smith'),
+      createMember('5', 'snake_case')
+    ]);
+    this.roles = createCollection([
+      { id: '10', name: 'mods', mentionable: true },
+      { id: '11', name: 'admins', mentionable: false }
+    ]);
+  });
+
+  it('should convert @name mentions', function () {
+    convertMentions('hi @alice!', this.members, this.roles).should.equal('hi <@2>!');
+  });
+
+  it('should match names case-insensitively', function () {
+    convertMentions('hi @ALICE', this.members, this.roles).should.equal('hi <@2>');
+  });
+
+  it('should not throw or misfire on names with regex characters', function () {
+    convertMentions('ask @c++dev or c+dev', this.members, this.roles)
+      .should.equal('ask <@3> or c+dev');
+  });
+
+  it('should convert names whose markdown was escaped', function () {
+    convertMentions('hi @snake\\_case', this.members, this.roles).should.equal('hi <@5>');
+  });
+
+  it('should not convert names inside words', function () {
+    convertMentions('totally @alright', this.members, this.roles)
+      .should.equal('totally @alright');
+  });
+
+  it('should not convert bare names by default', function () {
+    convertMentions('alice and Al were here', this.members, this.roles)
+      .should.equal('alice and Al were here');
+  });
+
+  it('should convert bare names on word boundaries with the words option', function () {
+    convertMentions('alice and Al were here, Alan too', this.members, this.roles, { words: true })
+      .should.equal('<@2> and <@1> were here, Alan too');
+  });
+
+  it('should convert a leading "name:" highlight', function () {
+    convertMentions('alice: look', this.members, this.roles).should.equal('<@2>: look');
+    convertMentions('alice, look', this.members, this.roles).should.equal('<@2>, look');
+    convertMentions('alice: look', this.members, this.roles, { leadingName: false })
+      .should.equal('alice: look');
+  });
+
+  it('should prefer the longest matching name', function () {
+    convertMentions('@John Smith hi', this.members, this.roles).should.equal('<@!4> hi');
+  });
+
+  it('should convert usernames of members with a nickname', function () {
+    convertMentions('@john hi', this.members, this.roles).should.equal('<@4> hi');
+  });
+
+  it('should prefer an exact match when several members share a name', function () {
+    const members = createCollection([createMember('1', 'Bob'), createMember('2', 'bob')]);
+    convertMentions('@bob @Bob @BOB', members, this.roles).should.equal('<@2> <@1> @BOB');
+  });
+
+  it('should only convert mentionable roles', function () {
+    convertMentions('@mods @admins', this.members, this.roles).should.equal('<@&10> @admins');
+    convertMentions('mods: hi', this.members, this.roles).should.equal('mods: hi');
+  });
+
+  it('should not convert ignored users', function () {
+    convertMentions('@alice @Al', this.members, this.roles, { ignore: ['ALICE', '1'] })
+      .should.equal('@alice @Al');
+  });
+});
@@ -0,0 +1,76 @@
+/* eslint-disable no-unused-expressions, prefer-arrow-callback */
+import chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MessageMap from '../lib/message-map';
+
+chai.should();
+
+describe('Message Map', function () {
+  const entry = { nickname: 'user', discordChannel: '#discord', ircChannel: '#irc' };
+
+  it('should remember the lines sent for a message', function () {
+    const map = new MessageMap();
+    map.add('1', entry, ['first']);
+    map.add('1', entry, ['second']);
+    map.get('1').should.deep.equal({ ...entry, lines: ['first', 'second'] });
+  });
+
+  it('should return null for unknown messages', function () {
+    const map = new MessageMap();
+    (map.get('1') === null).should.be.true;
+    (map.delete('1') === null).should.be.true;
+  });
+
+  it('should forget deleted messages', function () {
+    const map = new MessageMap();
+    map.add('1', entry, ['line']);
+    map.delete('1').lines.should.deep.equal(['line']);
+    (map.get('1') === null).should.be.true;
+  });
+
+  it('should drop the oldest messages when full', function () {
+    const map = new MessageMap({ size: 2 });
+    map.add('1', entry, ['one']);
+    map.add('2', entry, ['two']);
+    map.add('3', entry, ['three']);
+    (map.get('1') === null).should.be.true;
+    map.get('2').lines.should.deep.equal(['two']);
+    map.get('3').lines.should.deep.equal(['three']);
+  });
+
+  it('should persist the map to a file and restore it', function () {
+    const file = path.join(os.tmpdir(), `discord-irc-message-map-${process.pid}.json`);
+    try {
+      const map = new MessageMap({ file });
+      map.add('1', entry, ['line']);
+      clearTimeout(map.saveTimeout);
+      map.save();
+
+      const restored = new MessageMap({ file });
+      restored.get('1').lines.should.deep.equal(['line']);
+    } finally {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  });
+
+  it('should keep one entry per network in a shared file', function () {
+    const file = path.join(os.tmpdir(), `discord-irc-message-map-networks-${process.pid}.json`);
+    try {
+      const libera = new MessageMap({ file }, 'libera');
+      const oftc = new MessageMap({ file }, 'oftc');
+      libera.add('1', entry, ['libera line']);
+      oftc.add('1', entry, ['oftc line']);
+      [libera, oftc].forEach((map) => {
+        clearTimeout(map.saveTimeout);
+        map.save();
+      });
+
+      new MessageMap({ file }, 'libera').get('1').lines.should.deep.equal(['libera line']);
+      new MessageMap({ file }, 'oftc').get('1').lines.should.deep.equal(['oftc line']);
+    } finally {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  });
+});
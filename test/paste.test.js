@@ -0,0 +1,90 @@
+/* eslint-disable no-unused-expressions, prefer-arrow-callback */
+import chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import Paste from '../lib/paste';
+import { ConfigurationError } from '../lib/errors';
+
+chai.should();
+chai.use(sinonChai);
+
+describe('Paste', function () {
+  const sandbox = sinon.sandbox.create({
+    useFakeTimers: false,
+    useFakeServer: false
+  });
+
+  const fetch = (port, urlPath) => new Promise((resolve, reject) => {
+    http.get({ port, path: urlPath }, (response) => {
+      let body = '';
+      response.on('data', (chunk) => { body += chunk; });
+      response.on('end', () => resolve({ statusCode: response.statusCode, body }));
+    }).on('error', reject);
+  });
+
+  beforeEach(function () {
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-irc-paste-'));
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+    if (this.paste) this.paste.stop();
+    fs.readdirSync(this.directory).forEach(file => fs.unlinkSync(path.join(this.directory, file)));
+    fs.rmdirSync(this.directory);
+  });
+
+  it('should only paste code blocks longer than the threshold', function () {
+    this.paste = new Paste({ threshold: 2, directory: this.directory, url: 'http://example.com' });
+    this.paste.shouldPaste(['a', 'b']).should.be.false;
+    this.paste.shouldPaste(['a', 'b', 'c']).should.be.true;
+  });
+
+  it('should write pastes to the directory and return their URL', function () {
+    this.paste = new Paste({ directory: this.directory, url: 'http://example.com/pastes/' });
+    const url = this.paste.save('some\ncode');
+    url.should.match(/^http:\/\/example\.com\/pastes\/[0-9a-f]{16}\.txt$/);
+    fs.readFileSync(path.join(this.directory, path.basename(url)), 'utf8').should.equal('some\ncode');
+  });
+
+  it('should need a url or a port', function () {
+    (() => new Paste({ directory: this.directory }))
+      .should.throw(ConfigurationError, 'paste needs a url, or a port to serve the pastes on');
+  });
+
+  it('should return no URL when a paste cannot be written', function () {
+    const errorStub = sandbox.stub(logger, 'error');
+    this.paste = new Paste({ directory: path.join(this.directory, 'missing'), url: 'http://example.com' });
+    (this.paste.save('some\ncode') === null).should.be.true;
+    errorStub.should.have.been.calledOnce;
+  });
+
+  it('should serve pastes over HTTP when a port is given', function () {
+    this.paste = new Paste({ directory: this.directory, port: 0 });
+    this.paste.start();
+    const { server } = this.paste;
+    // Bots of a multi-network config all start the paste server they share
+    this.paste.start();
+    this.paste.server.should.equal(server);
+    const url = this.paste.save('served code');
+    let port;
+
+    return new Promise(resolve => this.paste.server.on('listening', resolve))
+      .then(() => {
+        port = this.paste.server.address().port;
+        return fetch(port, `/${path.basename(url)}`);
+      })
+      .then((response) => {
+        response.statusCode.should.equal(200);
+        response.body.should.equal('served code');
+        return fetch(port, '/../package.json');
+      })
+      .then((response) => {
+        response.statusCode.should.equal(404);
+      });
+  });
+});
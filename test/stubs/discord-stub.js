@@ -22,6 +22,15 @@ export default function createDiscordStub(sendStub, guild, discordUsers) {
         id: '1234',
         type: 'text',
         send: sendStub,
+        members: guild && guild.members,
+        guild
+      });
+      channels.set('5678', {
+        name: 'otherdiscord',
+        id: '5678',
+        type: 'text',
+        send: sendStub,
+        members: guild && guild.members,
         guild
       });
       return channels;
@@ -0,0 +1,58 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import { ConfigurationError } from '../lib/errors';
+import { renderTemplate, validateTemplate } from '../lib/template';
+
+chai.should();
+
+describe('Template', function () {
+  const values = {
+    nickname: 'averylongnickname',
+    text: ' hello ',
+    ircChannel: '',
+    count: 3
+  };
+
+  it('should replace variables', function () {
+    renderTemplate('<{$nickname}> {$text} ({$count})', values)
+      .should.equal('<averylongnickname>  hello  (3)');
+  });
+
+  it('should leave unknown variables as is', function () {
+    renderTemplate('{$unknown} {$unknown|upper}', values).should.equal('{$unknown} {$unknown|upper}');
+  });
+
+  it('should apply filters in order', function () {
+    renderTemplate('{$nickname|truncate:4|upper} {$text|trim|upper}', values)
+      .should.equal('AVER HELLO');
+  });
+
+  it('should use defaults for missing and empty values', function () {
+    renderTemplate('{$ircChannel?:none} {$unknown?:} {$count?:0}', values).should.equal('none  3');
+  });
+
+  it('should keep or drop conditional segments', function () {
+    const template = '{?$side}[{$side}] {/?}{?!$side}plain {/?}{$nickname|truncate:5}';
+    renderTemplate(template, { ...values, side: 'IRC' }).should.equal('[IRC] avery');
+    renderTemplate(template, values).should.equal('plain avery');
+  });
+
+  it('should not interpret patterns inside values', function () {
+    renderTemplate('{$text}', { text: '{$nickname} {?$text}x{/?}' })
+      .should.equal('{$nickname} {?$text}x{/?}');
+  });
+
+  it('should throw on unknown filters', function () {
+    (() => validateTemplate('{$text|reverse}', 'ircText'))
+      .should.throw(ConfigurationError, 'Unknown filter "reverse" in format.ircText');
+    (() => validateTemplate('{$text|upper} {$nickname?:x}', 'ircText')).should.not.throw();
+  });
+
+  it('should throw on missing or invalid filter arguments', function () {
+    (() => validateTemplate('{$nickname|truncate:x}', 'ircText'))
+      .should.throw(ConfigurationError, 'Filter "truncate" in format.ircText needs a number of characters');
+    (() => validateTemplate('{$nickname|truncate}', 'ircText'))
+      .should.throw(ConfigurationError, 'Filter "truncate" in format.ircText needs a number of characters');
+    (() => validateTemplate('{$nickname|truncate:10}', 'ircText')).should.not.throw();
+  });
+});
@@ -0,0 +1,91 @@
+/* eslint-disable no-unused-expressions, prefer-arrow-callback */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import { ConfigurationError } from '../lib/errors';
+import { getTransforms, runTransforms } from '../lib/transforms';
+
+chai.should();
+chai.use(sinonChai);
+
+describe('Transforms', function () {
+  const sandbox = sinon.sandbox.create({
+    useFakeTimers: false,
+    useFakeServer: false
+  });
+
+  beforeEach(function () {
+    this.errorStub = sandbox.stub(logger, 'error');
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should accept a single hook or a list of hooks', function () {
+    const hook = text => text;
+    getTransforms({ toIRC: hook }, 'toIRC').should.deep.equal([hook]);
+    getTransforms({ toIRC: [hook, hook] }, 'toIRC').should.deep.equal([hook, hook]);
+    getTransforms(undefined, 'toDiscord').should.deep.equal([]);
+  });
+
+  it('should throw on hooks that are not functions', function () {
+    (() => getTransforms({ toDiscord: ['nope'] }, 'toDiscord'))
+      .should.throw(ConfigurationError, 'transforms.toDiscord must be a function or a list of functions');
+  });
+
+  it('should run hooks in order with the context', function () {
+    const context = { author: 'testuser' };
+    const hooks = [
+      (text, ctx) => `${ctx.author}: ${text}`,
+      text => text.toUpperCase()
+    ];
+    return runTransforms(hooks, 'hi', context).then((texts) => {
+      texts.should.deep.equal(['TESTUSER: HI']);
+    });
+  });
+
+  it('should keep the text when a hook returns nothing', function () {
+    return runTransforms([() => {}], 'hi', {}).then((texts) => {
+      texts.should.deep.equal(['hi']);
+    });
+  });
+
+  it('should drop the message when a hook returns null or false', function () {
+    const next = sandbox.stub();
+    return runTransforms([() => null, next], 'hi', {}).then((texts) => {
+      texts.should.deep.equal([]);
+      next.should.not.have.been.called;
+      return runTransforms([() => false], 'hi', {});
+    }).then((texts) => {
+      texts.should.deep.equal([]);
+    });
+  });
+
+  it('should split the message when a hook returns a list', function () {
+    const hooks = [text => text.split(' '), text => `[${text}]`];
+    return runTransforms(hooks, 'a b', {}).then((texts) => {
+      texts.should.deep.equal(['[a]', '[b]']);
+    });
+  });
+
+  it('should wait for async hooks', function () {
+    const hook = text => new Promise(resolve => setImmediate(() => resolve(`${text}!`)));
+    return runTransforms([hook, hook], 'hi', {}).then((texts) => {
+      texts.should.deep.equal(['hi!!']);
+    });
+  });
+
+  it('should pass the text on unchanged when a hook fails', function () {
+    const hooks = [
+      () => { throw new Error('sync failure'); },
+      () => Promise.reject(new Error('async failure')),
+      text => `${text}!`
+    ];
+    return runTransforms(hooks, 'hi', {}).then((texts) => {
+      texts.should.deep.equal(['hi!']);
+      this.errorStub.should.have.been.calledTwice;
+    });
+  });
+});